@@ -1,26 +1,79 @@
-const { sequelize, User } = require('./sequelize');
+const { User } = require('./sequelize');
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { swaggerSpec, swaggerUi } = require('./swagger');
 const { validateUser } = require('./middleware/middleware');
+const { issueTokens } = require('./utils/tokens');
+const { sendVerificationEmail } = require('./utils/emails');
+const { apiLimiter, signinLimiters } = require('./middleware/rateLimit');
+const loginThrottle = require('./utils/loginThrottle');
+const { getStorage } = require('./storage');
+const { getPaymentProvider } = require('./payments');
+const { ensureDefaultAmenities } = require('./utils/amenities');
+const { migrate } = require('./utils/migrations');
+const { scheduleCalendarSync } = require('./utils/calendarSync');
+const { scheduleWebhookDelivery } = require('./utils/webhooks');
+const { scheduleWishlistChecks } = require('./utils/wishlists');
+const { scheduleNotifications } = require('./utils/notificationScheduler');
 require('dotenv').config();
 
 const app = express();
 const port = 3000;
 
-app.use(cors());
-app.use(express.json());
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address (e.g. 1 for one proxy)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }));
+// Bulk imports are much larger than other requests, and can be sent as CSV
+app.use('/bulk', express.json({ limit: '5mb' }), express.text({ type: 'text/csv', limit: '5mb' }));
+// Keep the raw body too: payment webhook signatures are computed over the exact bytes received
+app.use(express.json({
+    verify: (req, res, buffer) => {
+        req.rawBody = buffer;
+    }
+}));
+app.use(apiLimiter);
 
 // Routes
 const userRoutes = require('./routes/users');
 const propertyRoutes = require('./routes/properties');
+const pricingRoutes = require('./routes/pricing');
 const reservationRoutes = require('./routes/reservations');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const reviewRoutes = require('./routes/reviews');
+const photoRoutes = require('./routes/photos');
+const amenityRoutes = require('./routes/amenities');
+const calendarRoutes = require('./routes/calendars');
+const paymentRoutes = require('./routes/payments');
+const webhookRoutes = require('./routes/webhooks');
+const conversationRoutes = require('./routes/conversations');
+const wishlistRoutes = require('./routes/wishlists');
+const notificationRoutes = require('./routes/notifications');
+const analyticsRoutes = require('./routes/analytics');
+const bulkRoutes = require('./routes/bulk');
 
 app.use('/users', userRoutes);
 app.use('/properties', propertyRoutes);
+app.use('/properties', pricingRoutes);
+app.use('/properties', photoRoutes);
+app.use('/properties', calendarRoutes);
 app.use('/reservations', reservationRoutes);
+app.use('/admin', adminRoutes);
+app.use('/auth', authRoutes);
+app.use('/reviews', reviewRoutes);
+app.use('/amenities', amenityRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/conversations', conversationRoutes);
+app.use('/wishlists', wishlistRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/analytics', analyticsRoutes);
+app.use('/bulk', bulkRoutes);
 
 /**
  * @swagger
@@ -45,14 +98,18 @@ app.use('/reservations', reservationRoutes);
  *                 type: string
  *               phoneNumber:
  *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [guest, host]
+ *                 default: guest
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, with a short-lived access token and a refresh token. A verification email is sent to the address.
  *       400:
  *         description: Registration failed
  */
 app.post('/signup', validateUser, async (req, res) => {
-    const { email, password, firstName, lastName, phoneNumber } = req.body;
+    const { email, password, firstName, lastName, phoneNumber, role } = req.body;
     try {
         const hashedPassword = await bcrypt.hash(password, 10);
         const user = await User.create({
@@ -60,10 +117,21 @@ app.post('/signup', validateUser, async (req, res) => {
             password: hashedPassword,
             firstName,
             lastName,
-            phoneNumber
+            phoneNumber,
+            role
+        });
+        const { token, refreshToken } = await issueTokens(user);
+
+        // The account is usable right away; a failed email can be resent later
+        sendVerificationEmail(user).catch((error) => {
+            console.error('Failed to send verification email:', error);
+        });
+
+        res.status(201).send({
+            user: { id: user.id, email: user.email, role: user.role, emailVerified: user.emailVerified },
+            token,
+            refreshToken
         });
-        const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '24h' });
-        res.status(201).send({ user: { id: user.id, email: user.email }, token });
     } catch (error) {
         res.status(400).send({ error: 'Registration failed. Please try again.' });
     }
@@ -88,38 +156,99 @@ app.post('/signup', validateUser, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: User logged in successfully, with a short-lived access token and a refresh token
  *       401:
  *         description: Login failed
+ *       403:
+ *         description: Account suspended
+ *       429:
+ *         description: Too many login attempts, or the account is temporarily locked after repeated failures. See Retry-After.
  *       400:
  *         description: Login failed
  */
-app.post('/signin', async (req, res) => {
+app.post('/signin', signinLimiters, async (req, res) => {
     const { email, password } = req.body;
     try {
+        // Repeated failures lock the account for progressively longer periods
+        const lockedMs = await loginThrottle.lockedFor(email);
+        if (lockedMs > 0) {
+            res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+            return res.status(429).send({ error: 'Too many failed login attempts. Please try again later.' });
+        }
+
         const user = await User.findOne({ where: { email } });
         if (!user || !(await bcrypt.compare(password, user.password))) {
+            await loginThrottle.recordFailure(email);
             return res.status(401).send({ error: 'Login failed! Check authentication credentials.' });
         }
-        const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '24h' });
-        res.send({ user: { id: user.id, email: user.email }, token });
+        await loginThrottle.recordSuccess(email);
+        if (user.suspended) {
+            return res.status(403).send({ error: 'Login failed! This account has been suspended.' });
+        }
+        const { token, refreshToken } = await issueTokens(user);
+        res.send({
+            user: { id: user.id, email: user.email, role: user.role, emailVerified: user.emailVerified },
+            token,
+            refreshToken
+        });
     } catch (error) {
         res.status(400).send({ error: 'Login failed.' });
     }
 });
 
+// Uploaded files kept on local disk are served from /uploads
+if (getStorage().dir) {
+    app.use('/uploads', express.static(getStorage().dir));
+}
+
 // Swagger setup
 app.use('/', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-// Sync with the database, start express app
-sequelize.sync().then(() => {
-    console.log('Database & tables created!');
+// Bring the database schema up to date, start express app. With MIGRATE_ON_START=false the
+// migrations are left to `npm run migrate`, e.g. to run them once before starting several instances.
+// Tests require the app without starting it.
+const start = async () => {
+    // Refuses to start with a payment configuration that cannot work
+    getPaymentProvider();
+
+    if (process.env.MIGRATE_ON_START !== 'false') {
+        await migrate({ log: (line) => console.log(line) });
+    }
+    console.log('Database schema is up to date!');
+    await ensureDefaultAmenities();
+
+    // Re-import external calendars every CALENDAR_SYNC_INTERVAL_MINUTES (0 turns it off)
+    const syncMinutes = parseInt(process.env.CALENDAR_SYNC_INTERVAL_MINUTES || '30', 10);
+    if (syncMinutes > 0) {
+        scheduleCalendarSync(syncMinutes * 60 * 1000);
+    }
+
+    // Look for webhook deliveries due for a retry every WEBHOOK_RETRY_INTERVAL_SECONDS
+    const retrySeconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '15', 10);
+    scheduleWebhookDelivery(retrySeconds * 1000);
+
+    // Tell guests about price drops and freed dates of saved properties every WISHLIST_CHECK_INTERVAL_MINUTES
+    const wishlistMinutes = parseInt(process.env.WISHLIST_CHECK_INTERVAL_MINUTES || '15', 10);
+    if (wishlistMinutes > 0) {
+        scheduleWishlistChecks(wishlistMinutes * 60 * 1000);
+    }
+
+    // Create check-in reminders, review prompts and host alerts every NOTIFICATION_INTERVAL_MINUTES
+    const notificationMinutes = parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES || '5', 10);
+    if (notificationMinutes > 0) {
+        scheduleNotifications(notificationMinutes * 60 * 1000);
+    }
 
     app.listen(port, () => {
         console.log(`App running on http://localhost:${port}`);
     });
-}).catch((error) => {
-    console.error('Unable to sync the database:', error);
-});
+};
+
+if (require.main === module) {
+    start().catch((error) => {
+        console.error('Unable to start the app:', error);
+        process.exitCode = 1;
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,38 @@
+const createNominatimGeocoder = require('./nominatimGeocoder');
+const createMemoryGeocoder = require('./memoryGeocoder');
+require('dotenv').config();
+
+// A geocoder is any object with `geocode({ address, city })` resolving to { latitude, longitude },
+// or null when the address cannot be found. GEOCODER picks the implementation: none (default),
+// nominatim or memory.
+const createGeocoder = (provider = process.env.GEOCODER || 'none') => {
+    switch (provider) {
+        case 'none':
+            return { geocode: async () => null };
+        case 'nominatim':
+            return createNominatimGeocoder({
+                baseUrl: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+                userAgent: process.env.GEOCODER_USER_AGENT || 'vacation-booking-api'
+            });
+        case 'memory':
+            return createMemoryGeocoder();
+        default:
+            throw new Error(`Unknown geocoder: ${provider}`);
+    }
+};
+
+let geocoder;
+
+const getGeocoder = () => {
+    if (!geocoder) {
+        geocoder = createGeocoder();
+    }
+    return geocoder;
+};
+
+// Replaces the geocoder, e.g. with a memory geocoder in tests
+const setGeocoder = (replacement) => {
+    geocoder = replacement;
+};
+
+module.exports = { createGeocoder, getGeocoder, setGeocoder };
@@ -0,0 +1,14 @@
+// Answers from coordinates registered with `add`, for tests
+const createMemoryGeocoder = () => {
+    const places = new Map();
+    const keyOf = ({ address, city }) => `${address || ''}|${city || ''}`.toLowerCase();
+    return {
+        places,
+        add: (location, coordinates) => {
+            places.set(keyOf(location), coordinates);
+        },
+        geocode: async (location) => places.get(keyOf(location)) || null
+    };
+};
+
+module.exports = createMemoryGeocoder;
@@ -0,0 +1,28 @@
+// Looks addresses up with the OpenStreetMap Nominatim search API, or a self-hosted instance.
+// The public instance requires an identifying User-Agent and at most one request per second.
+// A lookup fails after LOOKUP_TIMEOUT, the longest saving a property waits for it.
+const LOOKUP_TIMEOUT = 5 * 1000;
+
+const createNominatimGeocoder = ({ baseUrl, userAgent }) => ({
+    geocode: async ({ address, city }) => {
+        const url = new URL('/search', baseUrl);
+        url.searchParams.set('q', [address, city].filter(Boolean).join(', '));
+        url.searchParams.set('format', 'jsonv2');
+        url.searchParams.set('limit', '1');
+
+        const response = await fetch(url, {
+            headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+            signal: AbortSignal.timeout(LOOKUP_TIMEOUT)
+        });
+        if (!response.ok) {
+            throw new Error(`Geocoding failed with status ${response.status}`);
+        }
+        const [place] = await response.json();
+        if (!place) {
+            return null;
+        }
+        return { latitude: parseFloat(place.lat), longitude: parseFloat(place.lon) };
+    }
+});
+
+module.exports = createNominatimGeocoder;
@@ -0,0 +1,15 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes every message as a JSON file into `dir`, for local development
+const createFileTransport = ({ dir, from }) => ({
+    send: async ({ to, subject, text, html }) => {
+        await fs.mkdir(dir, { recursive: true });
+        const sentAt = new Date();
+        const file = path.join(dir, `${sentAt.getTime()}-${Math.random().toString(36).slice(2, 8)}.json`);
+        await fs.writeFile(file, JSON.stringify({ from, to, subject, text, html, sentAt }, null, 2));
+        return { file };
+    }
+});
+
+module.exports = createFileTransport;
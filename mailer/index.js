@@ -0,0 +1,48 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+// A mailer is any object with `send({ to, subject, text, html })` returning a promise.
+// MAIL_TRANSPORT picks the implementation: smtp, file (default) or memory.
+const createMailer = (transport = process.env.MAIL_TRANSPORT || 'file') => {
+    const from = process.env.MAIL_FROM || 'Vacation Booking <no-reply@localhost>';
+    switch (transport) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT || '587', 10),
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS,
+                from
+            });
+        case 'memory':
+            return createMemoryTransport({ from });
+        case 'file':
+            return createFileTransport({
+                dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'vacation-booking-mail'),
+                from
+            });
+        default:
+            throw new Error(`Unknown mail transport: ${transport}`);
+    }
+};
+
+let mailer;
+
+const getMailer = () => {
+    if (!mailer) {
+        mailer = createMailer();
+    }
+    return mailer;
+};
+
+// Replaces the mailer, e.g. with a memory transport in tests
+const setMailer = (replacement) => {
+    mailer = replacement;
+};
+
+module.exports = { createMailer, getMailer, setMailer };
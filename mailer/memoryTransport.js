@@ -0,0 +1,17 @@
+// Keeps every message in `sent` instead of delivering it, for tests
+const createMemoryTransport = ({ from } = {}) => {
+    const sent = [];
+    return {
+        sent,
+        send: async ({ to, subject, text, html }) => {
+            const message = { from, to, subject, text, html, sentAt: new Date() };
+            sent.push(message);
+            return message;
+        },
+        clear: () => {
+            sent.length = 0;
+        }
+    };
+};
+
+module.exports = createMemoryTransport;
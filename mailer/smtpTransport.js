@@ -0,0 +1,17 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        send: ({ to, subject, text, html }) => transporter.sendMail({ from, to, subject, text, html })
+    };
+};
+
+module.exports = createSmtpTransport;
@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { User } = require('../sequelize');
+const { isSessionActive } = require('../utils/tokens');
 require('dotenv').config();
 
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
     const authHeader = req.header('Authorization');
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -10,13 +12,33 @@ const authenticateJWT = (req, res, next) => {
 
     const token = authHeader.replace('Bearer ', '');
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (ex) {
-        res.status(400).send({ error: 'Invalid token.' });
+        if (ex instanceof jwt.TokenExpiredError) {
+            return res.status(401).send({ error: 'Token expired.' });
+        }
+        return res.status(400).send({ error: 'Invalid token.' });
     }
+
+    try {
+        // Tokens of sessions that were logged out or revoked are no longer accepted
+        if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+            return res.status(401).send({ error: 'Session has been revoked. Please sign in again.' });
+        }
+
+        // Suspended or deleted accounts lose access even with an unexpired token
+        const user = await User.findByPk(decoded.userId);
+        if (!user || user.suspended) {
+            return res.status(403).send({ error: 'Access denied. Account is suspended or no longer exists.' });
+        }
+    } catch (error) {
+        return res.status(500).send({ error: 'Failed to authenticate request.' });
+    }
+
+    req.user = decoded;
+    next();
 };
 
 module.exports = authenticateJWT;
@@ -0,0 +1,107 @@
+const { Property, Reservation, WebhookSubscription, Conversation, Wishlist } = require('../sequelize');
+
+// Only the owner (host) of the property in req.params.id may continue
+const authorizePropertyOwner = async (req, res, next) => {
+    try {
+        const property = await Property.findByPk(req.params.id);
+        if (!property) {
+            return res.status(404).send({ error: 'Property not found.' });
+        }
+        if (property.ownerId !== req.user.userId) {
+            return res.status(403).send({ error: 'Access denied. You do not own this property.' });
+        }
+        req.property = property;
+        next();
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to authorize request.' });
+    }
+};
+
+// Only the account holder of the user in req.params.id may continue
+const authorizeAccountHolder = (req, res, next) => {
+    if (parseInt(req.params.id, 10) !== req.user.userId) {
+        return res.status(403).send({ error: 'Access denied. You can only manage your own account.' });
+    }
+    next();
+};
+
+// Only the guest who made the reservation or the host of its property may continue
+const authorizeReservationParty = async (req, res, next) => {
+    try {
+        const reservation = await Reservation.findByPk(req.params.id, { include: Property });
+        if (!reservation) {
+            return res.status(404).send({ error: 'Reservation not found.' });
+        }
+        const isGuest = reservation.UserId === req.user.userId;
+        const isHost = reservation.Property.ownerId === req.user.userId;
+        if (!isGuest && !isHost) {
+            return res.status(403).send({ error: 'Access denied. You are not a party to this reservation.' });
+        }
+        req.reservation = reservation;
+        next();
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to authorize request.' });
+    }
+};
+
+// Only the user who created the webhook subscription in req.params.id may continue
+const authorizeWebhookOwner = async (req, res, next) => {
+    try {
+        const subscription = await WebhookSubscription.findByPk(req.params.id);
+        if (!subscription) {
+            return res.status(404).send({ error: 'Webhook not found.' });
+        }
+        if (subscription.UserId !== req.user.userId) {
+            return res.status(403).send({ error: 'Access denied. You do not own this webhook.' });
+        }
+        req.subscription = subscription;
+        next();
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to authorize request.' });
+    }
+};
+
+// Only the guest and the host of the conversation in req.params.id may continue, and
+// admins, who can read every conversation
+const authorizeConversationParty = async (req, res, next) => {
+    try {
+        const conversation = await Conversation.findByPk(req.params.id);
+        if (!conversation) {
+            return res.status(404).send({ error: 'Conversation not found.' });
+        }
+        const isParty = [conversation.guestId, conversation.hostId].includes(req.user.userId);
+        if (!isParty && req.user.role !== 'admin') {
+            return res.status(403).send({ error: 'Access denied. You are not a party to this conversation.' });
+        }
+        req.conversation = conversation;
+        next();
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to authorize request.' });
+    }
+};
+
+// Only the user who created the wishlist in req.params.id may continue
+const authorizeWishlistOwner = async (req, res, next) => {
+    try {
+        const wishlist = await Wishlist.findByPk(req.params.id);
+        if (!wishlist) {
+            return res.status(404).send({ error: 'Wishlist not found.' });
+        }
+        if (wishlist.UserId !== req.user.userId) {
+            return res.status(403).send({ error: 'Access denied. You do not own this wishlist.' });
+        }
+        req.wishlist = wishlist;
+        next();
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to authorize request.' });
+    }
+};
+
+module.exports = {
+    authorizePropertyOwner,
+    authorizeAccountHolder,
+    authorizeReservationParty,
+    authorizeWebhookOwner,
+    authorizeConversationParty,
+    authorizeWishlistOwner
+};
@@ -1,4 +1,11 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { Property } = require('../sequelize');
+const { partyFrom, houseRuleViolations } = require('../utils/guests');
+const { PROPERTY_TYPES } = require('../utils/amenities');
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { NOTIFICATION_TYPES } = require('../utils/notifications');
+const { toHttpUrl } = require('../utils/calendarSync');
+const { checkPublicUrl } = require('../utils/outboundRequest');
 
 const validateUser = [
     body('email')
@@ -12,6 +19,9 @@ const validateUser = [
     body('firstName').notEmpty().withMessage('First name is required'),
     body('lastName').notEmpty().withMessage('Last name is required'),
     body('phoneNumber').notEmpty().withMessage('Phone number is required'),
+    body('role')
+        .optional()
+        .isIn(['guest', 'host']).withMessage('Role must be either guest or host'),
     (req, res, next) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -41,12 +51,59 @@ const validateUserUpdate = [
     }
 ];
 
+const validatePasswordReset = [
+    body('token').notEmpty().withMessage('Token is required'),
+    body('password')
+        .isLength({ min: 10 }).withMessage('Password must be at least 10 characters long')
+        .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
+        .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
+        .matches(/[!@#$%^&*(),.?":{}|<>]/).withMessage('Password must contain at least one special character'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
 const validateProperty = [
     body('name').notEmpty().withMessage('Name is required'),
     body('address').notEmpty().withMessage('Address is required'),
     body('city').notEmpty().withMessage('City is required'),
     body('price').isFloat({ gt: 0 }).withMessage('Price must be a positive number'),
     body('capacity').isInt({ gt: 0 }).withMessage('Capacity must be a positive integer'),
+    body('propertyType')
+        .optional()
+        .isIn(PROPERTY_TYPES).withMessage(`Property type must be one of ${PROPERTY_TYPES.join(', ')}`),
+    body('bedrooms').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Bedrooms must be a non-negative integer'),
+    body('beds').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Beds must be a non-negative integer'),
+    body('bathrooms').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Bathrooms must be a non-negative number'),
+    body('amenities').optional().isArray().withMessage('Amenities must be an array of amenity keys'),
+    body('amenities.*').isString().withMessage('Amenities must be an array of amenity keys'),
+    body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('longitude')
+        .custom((longitude, { req }) => (longitude === undefined || longitude === null) === (req.body.latitude === undefined || req.body.latitude === null))
+        .withMessage('Latitude and longitude must be given together'),
+    body('weekendPrice').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Weekend price must be a positive number'),
+    body('cleaningFee').optional().isFloat({ min: 0 }).withMessage('Cleaning fee must be a non-negative number'),
+    body('extraGuestFee').optional().isFloat({ min: 0 }).withMessage('Extra guest fee must be a non-negative number'),
+    body('includedGuests').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('Included guests must be a positive integer'),
+    body('petsAllowed').optional().isBoolean().withMessage('petsAllowed must be a boolean'),
+    body('maxInfants').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Max infants must be a non-negative integer'),
+    body('cancellationPolicy')
+        .optional()
+        .isIn(['flexible', 'moderate', 'strict', 'custom']).withMessage('Cancellation policy must be flexible, moderate, strict or custom'),
+    body('cancellationTiers')
+        .if(body('cancellationPolicy').equals('custom'))
+        .isArray({ min: 1 }).withMessage('A custom cancellation policy needs at least one tier'),
+    body('cancellationTiers.*.daysBefore')
+        .if(body('cancellationPolicy').equals('custom'))
+        .isInt({ min: 0 }).withMessage('daysBefore must be a non-negative integer'),
+    body('cancellationTiers.*.refundPercent')
+        .if(body('cancellationPolicy').equals('custom'))
+        .isFloat({ min: 0, max: 100 }).withMessage('refundPercent must be between 0 and 100'),
     (req, res, next) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -59,6 +116,424 @@ const validateProperty = [
 const validateReservation = [
     body('arrivalTime').isISO8601().withMessage('Must be a valid date'),
     body('departureTime').isISO8601().withMessage('Must be a valid date'),
+    body('adults').optional().isInt({ min: 1 }).withMessage('Adults must be a positive integer'),
+    body('children').optional().isInt({ min: 0 }).withMessage('Children must be a non-negative integer'),
+    body('infants').optional().isInt({ min: 0 }).withMessage('Infants must be a non-negative integer'),
+    body('pets').optional().isInt({ min: 0 }).withMessage('Pets must be a non-negative integer'),
+    body('guests').optional().isInt({ gt: 0 }).withMessage('Guests must be a positive integer')
+        .bail()
+        .custom((guests, { req }) => req.body.adults === undefined && req.body.children === undefined)
+        .withMessage('Send either guests or adults and children, not both; guests is the number of adults'),
+    body('paymentMethod').optional().isString().withMessage('Payment method must be a string'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    },
+    // Check the party against the capacity and house rules of the property being booked,
+    // which is the existing reservation's property when a reservation is being changed
+    async (req, res, next) => {
+        let property = req.reservation && req.reservation.Property;
+        if (!property) {
+            try {
+                property = await Property.findByPk(req.body.propertyId);
+            } catch (error) {
+                return res.status(500).send({ error: 'Failed to validate reservation.' });
+            }
+        }
+        if (!property) {
+            return next(); // The route answers with 404
+        }
+        const violations = houseRuleViolations(property, partyFrom(req.body, req.reservation));
+        const errors = Object.entries(violations).map(([path, msg]) => ({ type: 'field', msg, path, location: 'body' }));
+        if (errors.length > 0) {
+            return res.status(400).json({ errors });
+        }
+        next();
+    }
+];
+
+const validatePropertySearch = [
+    query('capacity').optional().isInt({ gt: 0 }).withMessage('Capacity must be a positive integer'),
+    query('minCapacity').optional().isInt({ gt: 0 }).withMessage('Minimum capacity must be a positive integer'),
+    query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a non-negative number'),
+    query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a non-negative number'),
+    query('checkIn').optional().isISO8601().withMessage('Must be a valid date'),
+    query('checkOut').optional().isISO8601().withMessage('Must be a valid date'),
+    query('checkOut')
+        .if(query('checkIn').exists())
+        .exists().withMessage('checkOut is required when checkIn is given')
+        .bail()
+        .custom((checkOut, { req }) => new Date(checkOut) > new Date(req.query.checkIn))
+        .withMessage('checkOut must be after checkIn'),
+    query('checkIn')
+        .if(query('checkOut').exists())
+        .exists().withMessage('checkIn is required when checkOut is given'),
+    query('propertyType')
+        .optional()
+        .custom((value) => String(value).split(',').every((type) => PROPERTY_TYPES.includes(type.trim())))
+        .withMessage(`Property type must be a comma-separated list of ${PROPERTY_TYPES.join(', ')}`),
+    query('minBedrooms').optional().isInt({ min: 0 }).withMessage('Minimum bedrooms must be a non-negative integer'),
+    query('minBeds').optional().isInt({ min: 0 }).withMessage('Minimum beds must be a non-negative integer'),
+    query('minBathrooms').optional().isFloat({ min: 0 }).withMessage('Minimum bathrooms must be a non-negative number'),
+    query('amenities').optional().isString().withMessage('Amenities must be a comma-separated list of amenity keys'),
+    query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90'),
+    query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180'),
+    query('lng')
+        .if(query('lat').exists())
+        .exists().withMessage('lng is required when lat is given'),
+    query('lat')
+        .if(query('lng').exists())
+        .exists().withMessage('lat is required when lng is given'),
+    query('radius')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('radius must be a positive number of kilometres')
+        .bail()
+        .custom((radius, { req }) => req.query.lat !== undefined).withMessage('radius requires lat and lng'),
+    query('bbox')
+        .optional()
+        .custom((bbox) => {
+            const values = String(bbox).split(',');
+            if (values.length !== 4 || values.some((value) => value.trim() === '' || !Number.isFinite(Number(value)))) {
+                return false;
+            }
+            const [west, south, east, north] = values.map(Number);
+            return Math.abs(west) <= 180 && Math.abs(east) <= 180 && south >= -90 && north <= 90 && south <= north;
+        })
+        .withMessage('bbox must be west,south,east,north in degrees'),
+    query('sortBy').optional().isIn(['price', 'rating', 'distance']).withMessage('sortBy must be price, rating or distance'),
+    query('sortBy')
+        .if(query('sortBy').equals('distance'))
+        .custom((sortBy, { req }) => req.query.lat !== undefined && req.query.lng !== undefined)
+        .withMessage('Sorting by distance requires lat and lng'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateAvailabilityQuery = [
+    query('from').isISO8601().withMessage('Must be a valid date'),
+    query('to').isISO8601().withMessage('Must be a valid date')
+        .bail()
+        .custom((to, { req }) => new Date(to) > new Date(req.query.from))
+        .withMessage('to must be after from')
+        .bail()
+        .custom((to, { req }) => new Date(to) - new Date(req.query.from) <= 366 * 24 * 60 * 60 * 1000)
+        .withMessage('The requested range cannot exceed 366 days'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateAnalyticsQuery = [
+    query('from').isISO8601().withMessage('Must be a valid date'),
+    query('to').isISO8601().withMessage('Must be a valid date')
+        .bail()
+        .custom((to, { req }) => new Date(to) > new Date(req.query.from))
+        .withMessage('to must be after from')
+        .bail()
+        .custom((to, { req }) => new Date(to) - new Date(req.query.from) <= 731 * 24 * 60 * 60 * 1000)
+        .withMessage('The requested range cannot exceed 731 days'),
+    query('propertyId').optional().isInt({ gt: 0 }).withMessage('propertyId must be a positive integer'),
+    query('ownerId').optional().isInt({ gt: 0 }).withMessage('ownerId must be a positive integer'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateBlockedPeriod = [
+    body('startTime').isISO8601().withMessage('Must be a valid date'),
+    body('endTime').isISO8601().withMessage('Must be a valid date')
+        .bail()
+        .custom((endTime, { req }) => new Date(endTime) > new Date(req.body.startTime))
+        .withMessage('endTime must be after startTime'),
+    body('reason')
+        .optional()
+        .isIn(['maintenance', 'personal', 'other']).withMessage('Reason must be maintenance, personal or other'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateCalendarImport = [
+    body('url')
+        .isURL({ protocols: ['http', 'https', 'webcal'], require_protocol: true })
+        .withMessage('url must be an http, https or webcal link to an .ics calendar')
+        .bail()
+        // The server downloads the calendar, so the URL must not lead into private networks
+        .custom((url) => checkPublicUrl(toHttpUrl(url))),
+    body('name').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateWebhookSubscription = [
+    body('url')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('url must be an http or https URL')
+        .bail()
+        // Deliveries are sent from the server, so the endpoint must not be in a private network
+        .custom((url) => checkPublicUrl(url)),
+    body('events').isArray({ min: 1 }).withMessage('events must list at least one event'),
+    body('events.*')
+        .isIn(WEBHOOK_EVENTS).withMessage(`Events must be among ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').optional({ values: 'null' }).isString().withMessage('Description must be a string'),
+    body('active').optional().isBoolean().withMessage('active must be a boolean'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateConversation = [
+    body('propertyId').optional().isInt({ gt: 0 }).withMessage('propertyId must be a positive integer'),
+    body('reservationId').optional().isInt({ gt: 0 }).withMessage('reservationId must be a positive integer'),
+    body('reservationId')
+        .if(body('propertyId').not().exists())
+        .exists().withMessage('Either propertyId or reservationId is required'),
+    body('message')
+        .isString().withMessage('Message is required')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 5000 }).withMessage('Message must be 1 to 5000 characters'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateMessage = [
+    body('body')
+        .isString().withMessage('Message is required')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 5000 }).withMessage('Message must be 1 to 5000 characters'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateWishlist = [
+    body('name')
+        .isString().withMessage('Name is required')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 100 }).withMessage('Name must be 1 to 100 characters'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateWishlistItem = [
+    body('propertyId').isInt({ gt: 0 }).withMessage('propertyId must be a positive integer'),
+    body('checkIn').optional().isISO8601().withMessage('Must be a valid date'),
+    body('checkOut')
+        .if(body('checkIn').exists())
+        .isISO8601().withMessage('checkOut is required with checkIn')
+        .bail()
+        .custom((checkOut, { req }) => new Date(checkOut) > new Date(req.body.checkIn))
+        .withMessage('checkOut must be after checkIn'),
+    body('checkIn')
+        .if(body('checkOut').exists())
+        .exists().withMessage('checkIn is required with checkOut'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateNotificationPreferences = [
+    body()
+        .custom((preferences) => preferences && typeof preferences === 'object' && !Array.isArray(preferences))
+        .withMessage('Preferences must be an object of notification types')
+        .bail()
+        .custom((preferences) => Object.keys(preferences).every((type) => NOTIFICATION_TYPES.includes(type)))
+        .withMessage(`Notification types must be among: ${NOTIFICATION_TYPES.join(', ')}`)
+        .bail()
+        .custom((preferences) => Object.values(preferences).every((enabled) => typeof enabled === 'boolean'))
+        .withMessage('Each notification type must be turned on (true) or off (false)'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateQuoteQuery = [
+    query('checkIn').isISO8601().withMessage('Must be a valid date'),
+    query('checkOut').isISO8601().withMessage('Must be a valid date')
+        .bail()
+        .custom((checkOut, { req }) => new Date(checkOut) > new Date(req.query.checkIn))
+        .withMessage('checkOut must be after checkIn'),
+    query('guests').optional().isInt({ gt: 0 }).withMessage('Guests must be a positive integer')
+        .bail()
+        .custom((guests, { req }) => req.query.adults === undefined && req.query.children === undefined)
+        .withMessage('Send either guests or adults and children, not both; guests is the number of adults'),
+    query('adults').optional().isInt({ min: 1 }).withMessage('Adults must be a positive integer'),
+    query('children').optional().isInt({ min: 0 }).withMessage('Children must be a non-negative integer'),
+    query('infants').optional().isInt({ min: 0 }).withMessage('Infants must be a non-negative integer'),
+    query('pets').optional().isInt({ min: 0 }).withMessage('Pets must be a non-negative integer'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateSeasonalRate = [
+    body('name').optional().isString().withMessage('Name must be a string'),
+    body('startTime').isISO8601().withMessage('Must be a valid date'),
+    body('endTime').isISO8601().withMessage('Must be a valid date')
+        .bail()
+        .custom((endTime, { req }) => new Date(endTime) > new Date(req.body.startTime))
+        .withMessage('endTime must be after startTime'),
+    body('nightlyPrice').isFloat({ gt: 0 }).withMessage('Nightly price must be a positive number'),
+    body('weekendPrice').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Weekend price must be a positive number'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateStayDiscount = [
+    body('minNights').isInt({ gt: 1 }).withMessage('Minimum nights must be an integer greater than 1'),
+    body('percent').isFloat({ gt: 0, lt: 100 }).withMessage('Percent must be between 0 and 100'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateReview = [
+    body('reservationId').isInt({ gt: 0 }).withMessage('Reservation ID must be a positive integer'),
+    body('overall').isInt({ min: 1, max: 5 }).withMessage('Overall rating must be an integer from 1 to 5'),
+    body(['cleanliness', 'accuracy', 'communication', 'location', 'checkIn', 'value'])
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 5 }).withMessage('Category ratings must be integers from 1 to 5'),
+    body('comment')
+        .optional({ values: 'null' })
+        .isString().withMessage('Comment must be text')
+        .isLength({ max: 5000 }).withMessage('Comment must be at most 5000 characters long'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateReviewReply = [
+    body('reply')
+        .isString().withMessage('Reply must be text')
+        .bail()
+        .trim()
+        .notEmpty().withMessage('Reply is required')
+        .isLength({ max: 5000 }).withMessage('Reply must be at most 5000 characters long'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validatePhotoUpdate = [
+    body('caption')
+        .optional({ values: 'null' })
+        .isString().withMessage('Caption must be text')
+        .isLength({ max: 255 }).withMessage('Caption must be at most 255 characters long'),
+    body('isCover').optional().isBoolean({ strict: true }).withMessage('isCover must be a boolean'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validatePhotoOrder = [
+    body('photoIds').isArray({ min: 1 }).withMessage('photoIds must be a non-empty array'),
+    body('photoIds.*').isInt({ gt: 0 }).withMessage('photoIds must contain photo IDs'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validateAmenity = [
+    body('key')
+        .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Key must be lowercase letters, digits and dashes, e.g. air-conditioning'),
+    body('name').notEmpty().withMessage('Name is required'),
+    (req, res, next) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next();
+    }
+];
+
+const validatePropertyAmenities = [
+    body('amenities').isArray().withMessage('Amenities must be an array of amenity keys'),
+    body('amenities.*').isString().withMessage('Amenities must be an array of amenity keys'),
     (req, res, next) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -68,4 +543,30 @@ const validateReservation = [
     }
 ];
 
-module.exports = { validateUser, validateUserUpdate, validateProperty, validateReservation };
+module.exports = {
+    validateUser,
+    validateUserUpdate,
+    validatePasswordReset,
+    validateProperty,
+    validateReservation,
+    validatePropertySearch,
+    validateAvailabilityQuery,
+    validateAnalyticsQuery,
+    validateBlockedPeriod,
+    validateCalendarImport,
+    validateWebhookSubscription,
+    validateConversation,
+    validateMessage,
+    validateWishlist,
+    validateWishlistItem,
+    validateNotificationPreferences,
+    validateQuoteQuery,
+    validateSeasonalRate,
+    validateStayDiscount,
+    validateReview,
+    validateReviewReply,
+    validatePhotoUpdate,
+    validatePhotoOrder,
+    validateAmenity,
+    validatePropertyAmenities
+};
@@ -0,0 +1,75 @@
+const { getStore } = require('../utils/rateLimitStore');
+require('dotenv').config();
+
+const env = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+// Allows at most `max` requests per key in each window of `windowMs` and answers 429
+// beyond that. Sets the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers
+// on every response, and Retry-After when the limit is reached.
+const rateLimit = ({
+    windowMs,
+    max,
+    name = 'global',
+    keyGenerator = (req) => req.ip,
+    store,
+    message = 'Too many requests. Please try again later.'
+}) => async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+        return next();
+    }
+
+    let hits;
+    try {
+        hits = await (store || getStore()).increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+        // An unavailable store should not take the whole API down
+        console.error('Rate limit store failed:', error);
+        return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((hits.resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hits.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (hits.count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).send({ error: message });
+    }
+    next();
+};
+
+// Every request, per IP
+const apiLimiter = rateLimit({
+    name: 'api',
+    windowMs: env('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000),
+    max: env('RATE_LIMIT_MAX', 300)
+});
+
+// Login attempts, per IP and per account
+const signinLimiters = [
+    rateLimit({
+        name: 'signin-ip',
+        windowMs: env('SIGNIN_RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000),
+        max: env('SIGNIN_RATE_LIMIT_MAX', 20),
+        message: 'Too many login attempts. Please try again later.'
+    }),
+    rateLimit({
+        name: 'signin-account',
+        windowMs: env('SIGNIN_RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000),
+        max: env('SIGNIN_ACCOUNT_RATE_LIMIT_MAX', 10),
+        keyGenerator: (req) => req.body && typeof req.body.email === 'string' && req.body.email.trim().toLowerCase(),
+        message: 'Too many login attempts. Please try again later.'
+    })
+];
+
+// Endpoints that send email, per IP
+const emailLimiter = rateLimit({
+    name: 'email',
+    windowMs: env('EMAIL_RATE_LIMIT_WINDOW_MS', 60 * 60 * 1000),
+    max: env('EMAIL_RATE_LIMIT_MAX', 5),
+    message: 'Too many emails requested. Please try again later.'
+});
+
+module.exports = { rateLimit, apiLimiter, signinLimiters, emailLimiter };
@@ -0,0 +1,9 @@
+// Only users whose token carries one of the given roles may continue
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).send({ error: 'Access denied. Insufficient permissions.' });
+    }
+    next();
+};
+
+module.exports = requireRole;
@@ -0,0 +1,31 @@
+const multer = require('multer');
+const { MAX_CALENDAR_SIZE } = require('../utils/calendarSync');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CALENDAR_SIZE, files: 1 }
+}).single('calendar');
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: 'The calendar file must be at most 1 MB.',
+    LIMIT_FILE_COUNT: 'Only one calendar file can be uploaded at once.',
+    LIMIT_UNEXPECTED_FILE: 'The calendar file must be sent in the "calendar" field.'
+};
+
+// Parses the multipart "calendar" field into req.file; its content is checked when it is imported
+const uploadCalendar = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).send({ error: UPLOAD_ERRORS[error.code] || 'Invalid upload.' });
+        }
+        if (error) {
+            return res.status(400).send({ error: 'Invalid upload.' });
+        }
+        if (!req.file) {
+            return res.status(400).send({ error: 'An .ics file is required in the "calendar" field.' });
+        }
+        next();
+    });
+};
+
+module.exports = { uploadCalendar };
@@ -0,0 +1,55 @@
+const multer = require('multer');
+require('dotenv').config();
+
+const MAX_PHOTO_SIZE = parseInt(process.env.MAX_PHOTO_SIZE || String(5 * 1024 * 1024), 10);
+const MAX_PHOTOS_PER_UPLOAD = 10;
+
+// Accepted image types and the bytes their files start with, so a file's declared
+// type can be checked against its content
+const PHOTO_TYPES = {
+    'image/jpeg': { extension: 'jpg', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    'image/png': { extension: 'png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/webp': {
+        extension: 'webp',
+        matches: (buffer) => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP'
+    }
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_PHOTO_SIZE, files: MAX_PHOTOS_PER_UPLOAD },
+    fileFilter: (req, file, callback) => {
+        if (!PHOTO_TYPES[file.mimetype]) {
+            return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        callback(null, true);
+    }
+}).array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: `Each photo must be at most ${Math.floor(MAX_PHOTO_SIZE / (1024 * 1024))} MB.`,
+    LIMIT_FILE_COUNT: `At most ${MAX_PHOTOS_PER_UPLOAD} photos can be uploaded at once.`,
+    LIMIT_UNEXPECTED_FILE: 'Photos must be JPEG, PNG or WebP images sent in the "photos" field.'
+};
+
+// Parses the multipart "photos" field into req.files and rejects files that are too
+// large, too many or not JPEG, PNG or WebP images
+const uploadPhotos = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).send({ error: UPLOAD_ERRORS[error.code] || 'Invalid upload.' });
+        }
+        if (error) {
+            return res.status(400).send({ error: 'Invalid upload.' });
+        }
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).send({ error: 'At least one photo is required in the "photos" field.' });
+        }
+        if (req.files.some((file) => !PHOTO_TYPES[file.mimetype].matches(file.buffer))) {
+            return res.status(400).send({ error: 'A file does not contain the image type it claims to be.' });
+        }
+        next();
+    });
+};
+
+module.exports = { uploadPhotos, PHOTO_TYPES };
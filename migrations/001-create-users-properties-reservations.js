@@ -0,0 +1,42 @@
+// The schema of the first version, before accounts owned properties. Later migrations add to it in the
+// order the features were added, so they also upgrade databases created by that version.
+const { timestamps, id, foreignKey } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('Users', {
+            id: id(DataTypes),
+            email: { type: DataTypes.STRING, allowNull: false, unique: true },
+            password: { type: DataTypes.STRING, allowNull: false },
+            firstName: { type: DataTypes.STRING, allowNull: false },
+            lastName: { type: DataTypes.STRING, allowNull: false },
+            phoneNumber: { type: DataTypes.STRING, allowNull: false },
+            ...timestamps(DataTypes)
+        }, { transaction });
+
+        await queryInterface.createTable('Properties', {
+            id: id(DataTypes),
+            name: { type: DataTypes.STRING, allowNull: false },
+            address: { type: DataTypes.STRING, allowNull: false },
+            city: { type: DataTypes.STRING, allowNull: false },
+            price: { type: DataTypes.FLOAT, allowNull: false },
+            capacity: { type: DataTypes.INTEGER, allowNull: false },
+            ...timestamps(DataTypes)
+        }, { transaction });
+
+        await queryInterface.createTable('Reservations', {
+            id: id(DataTypes),
+            arrivalTime: { type: DataTypes.DATE, allowNull: false },
+            departureTime: { type: DataTypes.DATE, allowNull: false },
+            ...timestamps(DataTypes),
+            UserId: foreignKey(DataTypes, 'Users'),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('Reservations', { transaction });
+        await queryInterface.dropTable('Properties', { transaction });
+        await queryInterface.dropTable('Users', { transaction });
+    }
+};
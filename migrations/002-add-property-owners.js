@@ -0,0 +1,29 @@
+const { foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    ownerId: foreignKey(DataTypes, 'Users', { allowNull: true })
+});
+
+module.exports = {
+    // Properties listed before accounts owned them have no owner to fill in, so the column is added
+    // nullable and made NOT NULL once every property has one
+    up: async ({ queryInterface, DataTypes, sequelize, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+
+        const [{ count }] = await sequelize.query('SELECT COUNT(*) AS count FROM `Properties` WHERE `ownerId` IS NULL', {
+            type: sequelize.QueryTypes.SELECT,
+            transaction
+        });
+        if (count > 0) {
+            throw new Error(`${count} properties have no owner. Set their ownerId to the id of their host's account `
+                + 'and run the migrations again.');
+        }
+        await queryInterface.changeColumn('Properties', 'ownerId', { type: DataTypes.INTEGER, allowNull: false }, {
+            transaction
+        });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
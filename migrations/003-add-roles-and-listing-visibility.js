@@ -0,0 +1,22 @@
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+const userColumns = (DataTypes) => ({
+    role: { type: DataTypes.ENUM('guest', 'host', 'admin'), allowNull: false, defaultValue: 'guest' },
+    suspended: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
+});
+
+const propertyColumns = (DataTypes) => ({
+    listed: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Users', userColumns(DataTypes), { transaction });
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+        await removeColumns(queryInterface, 'Users', userColumns(DataTypes), { transaction });
+    }
+};
@@ -0,0 +1,18 @@
+const { timestamps, id, foreignKey } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('BlockedPeriods', {
+            id: id(DataTypes),
+            startTime: { type: DataTypes.DATE, allowNull: false },
+            endTime: { type: DataTypes.DATE, allowNull: false },
+            reason: { type: DataTypes.ENUM('maintenance', 'personal', 'other'), allowNull: false, defaultValue: 'other' },
+            ...timestamps(DataTypes),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('BlockedPeriods', { transaction });
+    }
+};
@@ -0,0 +1,46 @@
+const { timestamps, id, foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    weekendPrice: { type: DataTypes.FLOAT, allowNull: true },
+    cleaningFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    extraGuestFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    includedGuests: { type: DataTypes.INTEGER, allowNull: true }
+});
+
+const reservationColumns = (DataTypes) => ({
+    totalPrice: { type: DataTypes.FLOAT, allowNull: true },
+    priceBreakdown: { type: DataTypes.JSON, allowNull: true }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+        await addMissingColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+
+        await queryInterface.createTable('SeasonalRates', {
+            id: id(DataTypes),
+            name: { type: DataTypes.STRING, allowNull: true },
+            startTime: { type: DataTypes.DATE, allowNull: false },
+            endTime: { type: DataTypes.DATE, allowNull: false },
+            nightlyPrice: { type: DataTypes.FLOAT, allowNull: false },
+            weekendPrice: { type: DataTypes.FLOAT, allowNull: true },
+            ...timestamps(DataTypes),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+
+        await queryInterface.createTable('StayDiscounts', {
+            id: id(DataTypes),
+            minNights: { type: DataTypes.INTEGER, allowNull: false },
+            percent: { type: DataTypes.FLOAT, allowNull: false },
+            ...timestamps(DataTypes),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.dropTable('StayDiscounts', { transaction });
+        await queryInterface.dropTable('SeasonalRates', { transaction });
+        await removeColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
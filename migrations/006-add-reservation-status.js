@@ -0,0 +1,30 @@
+const { id, foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const reservationColumns = (DataTypes) => ({
+    status: {
+        type: DataTypes.ENUM('pending', 'confirmed', 'declined', 'checked_in', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+    }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+
+        await queryInterface.createTable('ReservationStatusChanges', {
+            id: id(DataTypes),
+            fromStatus: { type: DataTypes.STRING, allowNull: true },
+            toStatus: { type: DataTypes.STRING, allowNull: false },
+            note: { type: DataTypes.STRING, allowNull: true },
+            createdAt: { type: DataTypes.DATE, allowNull: false },
+            ReservationId: foreignKey(DataTypes, 'Reservations'),
+            changedById: foreignKey(DataTypes, 'Users', { allowNull: true, onDelete: 'SET NULL' })
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.dropTable('ReservationStatusChanges', { transaction });
+        await removeColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+    }
+};
@@ -0,0 +1,29 @@
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    cancellationPolicy: {
+        type: DataTypes.ENUM('flexible', 'moderate', 'strict', 'custom'),
+        allowNull: false,
+        defaultValue: 'flexible'
+    },
+    cancellationTiers: { type: DataTypes.JSON, allowNull: true }
+});
+
+const reservationColumns = (DataTypes) => ({
+    cancellationTiers: { type: DataTypes.JSON, allowNull: true },
+    refundPercent: { type: DataTypes.FLOAT, allowNull: true },
+    refundAmount: { type: DataTypes.FLOAT, allowNull: true },
+    cancelledAt: { type: DataTypes.DATE, allowNull: true }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+        await addMissingColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await removeColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
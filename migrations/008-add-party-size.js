@@ -0,0 +1,25 @@
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    petsAllowed: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    maxInfants: { type: DataTypes.INTEGER, allowNull: true }
+});
+
+const reservationColumns = (DataTypes) => ({
+    adults: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    children: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    infants: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    pets: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+        await addMissingColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await removeColumns(queryInterface, 'Reservations', reservationColumns(DataTypes), { transaction });
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
@@ -0,0 +1,19 @@
+const { timestamps, id, foreignKey } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('RefreshTokens', {
+            id: id(DataTypes),
+            tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+            family: { type: DataTypes.STRING(36), allowNull: false },
+            expiresAt: { type: DataTypes.DATE, allowNull: false },
+            revokedAt: { type: DataTypes.DATE, allowNull: true },
+            ...timestamps(DataTypes),
+            UserId: foreignKey(DataTypes, 'Users')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('RefreshTokens', { transaction });
+    }
+};
@@ -0,0 +1,25 @@
+const { timestamps, foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const userColumns = (DataTypes) => ({
+    emailVerified: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Users', userColumns(DataTypes), { transaction });
+
+        await queryInterface.createTable('ActionTokens', {
+            id: { type: DataTypes.STRING(36), primaryKey: true, allowNull: false },
+            purpose: { type: DataTypes.ENUM('verify_email', 'reset_password'), allowNull: false },
+            expiresAt: { type: DataTypes.DATE, allowNull: false },
+            usedAt: { type: DataTypes.DATE, allowNull: true },
+            ...timestamps(DataTypes),
+            UserId: foreignKey(DataTypes, 'Users')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.dropTable('ActionTokens', { transaction });
+        await removeColumns(queryInterface, 'Users', userColumns(DataTypes), { transaction });
+    }
+};
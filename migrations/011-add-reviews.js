@@ -0,0 +1,35 @@
+const { timestamps, id, foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    averageRating: { type: DataTypes.FLOAT, allowNull: true },
+    reviewCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+
+        await queryInterface.createTable('Reviews', {
+            id: id(DataTypes),
+            overall: { type: DataTypes.INTEGER, allowNull: false },
+            cleanliness: { type: DataTypes.INTEGER, allowNull: true },
+            accuracy: { type: DataTypes.INTEGER, allowNull: true },
+            communication: { type: DataTypes.INTEGER, allowNull: true },
+            location: { type: DataTypes.INTEGER, allowNull: true },
+            checkIn: { type: DataTypes.INTEGER, allowNull: true },
+            value: { type: DataTypes.INTEGER, allowNull: true },
+            comment: { type: DataTypes.TEXT, allowNull: true },
+            hostReply: { type: DataTypes.TEXT, allowNull: true },
+            hostRepliedAt: { type: DataTypes.DATE, allowNull: true },
+            ...timestamps(DataTypes),
+            ReservationId: foreignKey(DataTypes, 'Reservations', { unique: true }),
+            PropertyId: foreignKey(DataTypes, 'Properties'),
+            UserId: foreignKey(DataTypes, 'Users')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.dropTable('Reviews', { transaction });
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
@@ -0,0 +1,21 @@
+const { timestamps, id, foreignKey } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('Photos', {
+            id: id(DataTypes),
+            storageKey: { type: DataTypes.STRING, allowNull: false },
+            contentType: { type: DataTypes.STRING, allowNull: false },
+            size: { type: DataTypes.INTEGER, allowNull: false },
+            caption: { type: DataTypes.STRING, allowNull: true },
+            position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+            isCover: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+            ...timestamps(DataTypes),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('Photos', { transaction });
+    }
+};
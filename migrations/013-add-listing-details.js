@@ -0,0 +1,36 @@
+const { timestamps, id, foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    propertyType: {
+        type: DataTypes.ENUM('apartment', 'house', 'villa', 'cabin', 'cottage', 'studio', 'other'),
+        allowNull: false,
+        defaultValue: 'other'
+    },
+    bedrooms: { type: DataTypes.INTEGER, allowNull: true },
+    beds: { type: DataTypes.INTEGER, allowNull: true },
+    bathrooms: { type: DataTypes.FLOAT, allowNull: true }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+
+        await queryInterface.createTable('Amenities', {
+            id: id(DataTypes),
+            key: { type: DataTypes.STRING, allowNull: false, unique: true },
+            name: { type: DataTypes.STRING, allowNull: false },
+            ...timestamps(DataTypes)
+        }, { transaction });
+
+        await queryInterface.createTable('PropertyAmenities', {
+            PropertyId: { ...foreignKey(DataTypes, 'Properties'), primaryKey: true },
+            AmenityId: { ...foreignKey(DataTypes, 'Amenities'), primaryKey: true }
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.dropTable('PropertyAmenities', { transaction });
+        await queryInterface.dropTable('Amenities', { transaction });
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
@@ -0,0 +1,43 @@
+const { timestamps, id, foreignKey, addMissingColumns, removeColumns } = require('./helpers');
+
+const propertyColumns = (DataTypes) => ({
+    calendarTokenHash: { type: DataTypes.STRING(64), allowNull: true, unique: true }
+});
+
+const blockedPeriodColumns = (DataTypes) => ({
+    externalUid: { type: DataTypes.STRING, allowNull: true },
+    CalendarImportId: foreignKey(DataTypes, 'CalendarImports', { allowNull: true })
+});
+
+const reason = (DataTypes, values) => ({ type: DataTypes.ENUM(...values), allowNull: false, defaultValue: 'other' });
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+
+        await queryInterface.createTable('CalendarImports', {
+            id: id(DataTypes),
+            name: { type: DataTypes.STRING, allowNull: false },
+            url: { type: DataTypes.STRING(2048), allowNull: true },
+            lastSyncedAt: { type: DataTypes.DATE, allowNull: true },
+            lastError: { type: DataTypes.TEXT, allowNull: true },
+            ...timestamps(DataTypes),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+
+        await queryInterface.changeColumn('BlockedPeriods', 'reason',
+            reason(DataTypes, ['maintenance', 'personal', 'other', 'external']), { transaction });
+        await addMissingColumns(queryInterface, 'BlockedPeriods', blockedPeriodColumns(DataTypes), { transaction });
+    },
+
+    // Periods imported from other calendars go with their imports
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await removeColumns(queryInterface, 'BlockedPeriods', blockedPeriodColumns(DataTypes), { transaction });
+        await queryInterface.bulkDelete('BlockedPeriods', { reason: 'external' }, { transaction });
+        await queryInterface.changeColumn('BlockedPeriods', 'reason',
+            reason(DataTypes, ['maintenance', 'personal', 'other']), { transaction });
+
+        await queryInterface.dropTable('CalendarImports', { transaction });
+        await removeColumns(queryInterface, 'Properties', propertyColumns(DataTypes), { transaction });
+    }
+};
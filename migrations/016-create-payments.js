@@ -0,0 +1,27 @@
+const { timestamps, id, foreignKey } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('Payments', {
+            id: id(DataTypes),
+            provider: { type: DataTypes.STRING, allowNull: false },
+            providerPaymentId: { type: DataTypes.STRING, allowNull: true, unique: true },
+            amount: { type: DataTypes.FLOAT, allowNull: false },
+            currency: { type: DataTypes.STRING(3), allowNull: false },
+            capturedAmount: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+            refundedAmount: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+            status: {
+                type: DataTypes.ENUM('pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            failureReason: { type: DataTypes.STRING, allowNull: true },
+            ...timestamps(DataTypes),
+            ReservationId: foreignKey(DataTypes, 'Reservations', { unique: true })
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('Payments', { transaction });
+    }
+};
@@ -0,0 +1,39 @@
+const { timestamps, id, foreignKey, addMissingIndex } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('WebhookSubscriptions', {
+            id: id(DataTypes),
+            url: { type: DataTypes.STRING(2048), allowNull: false },
+            events: { type: DataTypes.JSON, allowNull: false },
+            description: { type: DataTypes.STRING, allowNull: true },
+            secret: { type: DataTypes.STRING(64), allowNull: false },
+            active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+            ...timestamps(DataTypes),
+            UserId: foreignKey(DataTypes, 'Users')
+        }, { transaction });
+
+        await queryInterface.createTable('WebhookDeliveries', {
+            id: id(DataTypes),
+            eventId: { type: DataTypes.STRING(36), allowNull: false },
+            event: { type: DataTypes.STRING, allowNull: false },
+            payload: { type: DataTypes.JSON, allowNull: false },
+            status: { type: DataTypes.ENUM('pending', 'succeeded', 'failed'), allowNull: false, defaultValue: 'pending' },
+            attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+            nextAttemptAt: { type: DataTypes.DATE, allowNull: true },
+            lastAttemptAt: { type: DataTypes.DATE, allowNull: true },
+            responseStatus: { type: DataTypes.INTEGER, allowNull: true },
+            lastError: { type: DataTypes.TEXT, allowNull: true },
+            ...timestamps(DataTypes),
+            WebhookSubscriptionId: foreignKey(DataTypes, 'WebhookSubscriptions')
+        }, { transaction });
+        await addMissingIndex(queryInterface, 'WebhookDeliveries', ['status', 'nextAttemptAt'], {
+            name: 'webhook_deliveries_status_next_attempt_at'
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('WebhookDeliveries', { transaction });
+        await queryInterface.dropTable('WebhookSubscriptions', { transaction });
+    }
+};
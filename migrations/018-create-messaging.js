@@ -0,0 +1,32 @@
+const { timestamps, id, foreignKey, addMissingIndex } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('Conversations', {
+            id: id(DataTypes),
+            lastMessageAt: { type: DataTypes.DATE, allowNull: true },
+            ...timestamps(DataTypes),
+            PropertyId: foreignKey(DataTypes, 'Properties'),
+            ReservationId: foreignKey(DataTypes, 'Reservations', { allowNull: true, unique: true }),
+            guestId: foreignKey(DataTypes, 'Users', { onDelete: 'NO ACTION' }),
+            hostId: foreignKey(DataTypes, 'Users', { onDelete: 'NO ACTION' })
+        }, { transaction });
+
+        await queryInterface.createTable('Messages', {
+            id: id(DataTypes),
+            body: { type: DataTypes.TEXT, allowNull: false },
+            readAt: { type: DataTypes.DATE, allowNull: true },
+            ...timestamps(DataTypes),
+            ConversationId: foreignKey(DataTypes, 'Conversations'),
+            senderId: foreignKey(DataTypes, 'Users', { onDelete: 'NO ACTION' })
+        }, { transaction });
+        await addMissingIndex(queryInterface, 'Messages', ['ConversationId', 'createdAt'], {
+            name: 'messages__conversation_id_created_at'
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('Messages', { transaction });
+        await queryInterface.dropTable('Conversations', { transaction });
+    }
+};
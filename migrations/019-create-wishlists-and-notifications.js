@@ -0,0 +1,47 @@
+const { timestamps, id, foreignKey, addMissingIndex } = require('./helpers');
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await queryInterface.createTable('Wishlists', {
+            id: id(DataTypes),
+            name: { type: DataTypes.STRING(100), allowNull: false },
+            shareTokenHash: { type: DataTypes.STRING(64), allowNull: true, unique: true },
+            ...timestamps(DataTypes),
+            UserId: foreignKey(DataTypes, 'Users')
+        }, { transaction });
+
+        await queryInterface.createTable('WishlistItems', {
+            id: id(DataTypes),
+            checkIn: { type: DataTypes.DATE, allowNull: true },
+            checkOut: { type: DataTypes.DATE, allowNull: true },
+            savedPrice: { type: DataTypes.FLOAT, allowNull: false },
+            awaitingDates: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+            ...timestamps(DataTypes),
+            WishlistId: foreignKey(DataTypes, 'Wishlists'),
+            PropertyId: foreignKey(DataTypes, 'Properties')
+        }, { transaction });
+        await addMissingIndex(queryInterface, 'WishlistItems', ['WishlistId', 'PropertyId'], {
+            name: 'wishlist_items__wishlist_id__property_id',
+            unique: true
+        }, { transaction });
+
+        await queryInterface.createTable('Notifications', {
+            id: id(DataTypes),
+            type: { type: DataTypes.STRING(50), allowNull: false },
+            message: { type: DataTypes.STRING(500), allowNull: false },
+            data: { type: DataTypes.JSON, allowNull: true },
+            readAt: { type: DataTypes.DATE, allowNull: true },
+            ...timestamps(DataTypes),
+            UserId: foreignKey(DataTypes, 'Users')
+        }, { transaction });
+        await addMissingIndex(queryInterface, 'Notifications', ['UserId', 'readAt'], {
+            name: 'notifications__user_id_read_at'
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.dropTable('Notifications', { transaction });
+        await queryInterface.dropTable('WishlistItems', { transaction });
+        await queryInterface.dropTable('Wishlists', { transaction });
+    }
+};
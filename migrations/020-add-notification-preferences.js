@@ -0,0 +1,22 @@
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+const userColumns = (DataTypes) => ({
+    notificationPreferences: { type: DataTypes.JSON, allowNull: true }
+});
+
+// Lets a notification be sent once per event, such as one reminder per stay
+const notificationColumns = (DataTypes) => ({
+    key: { type: DataTypes.STRING, allowNull: true, unique: true }
+});
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await addMissingColumns(queryInterface, 'Users', userColumns(DataTypes), { transaction });
+        await addMissingColumns(queryInterface, 'Notifications', notificationColumns(DataTypes), { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await removeColumns(queryInterface, 'Notifications', notificationColumns(DataTypes), { transaction });
+        await removeColumns(queryInterface, 'Users', userColumns(DataTypes), { transaction });
+    }
+};
@@ -0,0 +1,16 @@
+const { addMissingIndex } = require('./helpers');
+
+// Index for the overlap queries of utils/availability.js, which run on every booking and search
+module.exports = {
+    up: async ({ queryInterface, transaction }) => {
+        await addMissingIndex(queryInterface, 'Reservations', ['PropertyId', 'arrivalTime', 'departureTime'], {
+            name: 'reservations_property_id_arrival_time_departure_time'
+        }, { transaction });
+    },
+
+    down: async ({ queryInterface, transaction }) => {
+        await queryInterface.removeIndex('Reservations', 'reservations_property_id_arrival_time_departure_time', {
+            transaction
+        });
+    }
+};
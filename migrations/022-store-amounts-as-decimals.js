@@ -0,0 +1,30 @@
+// Amounts of money were FLOAT columns, which store 19.99 as 19.9899997711182: the sums of
+// captures and refunds drifted by fractions of a cent. DECIMAL keeps exact cents.
+const reservationColumns = (type) => ({
+    totalPrice: { type, allowNull: true },
+    refundAmount: { type, allowNull: true }
+});
+
+const paymentColumns = (type) => ({
+    amount: { type, allowNull: false },
+    capturedAmount: { type, allowNull: false, defaultValue: 0 },
+    refundedAmount: { type, allowNull: false, defaultValue: 0 }
+});
+
+const changeColumns = async (queryInterface, table, columns, options) => {
+    for (const [name, column] of Object.entries(columns)) {
+        await queryInterface.changeColumn(table, name, column, options);
+    }
+};
+
+module.exports = {
+    up: async ({ queryInterface, DataTypes, transaction }) => {
+        await changeColumns(queryInterface, 'Reservations', reservationColumns(DataTypes.DECIMAL(10, 2)), { transaction });
+        await changeColumns(queryInterface, 'Payments', paymentColumns(DataTypes.DECIMAL(10, 2)), { transaction });
+    },
+
+    down: async ({ queryInterface, DataTypes, transaction }) => {
+        await changeColumns(queryInterface, 'Payments', paymentColumns(DataTypes.FLOAT), { transaction });
+        await changeColumns(queryInterface, 'Reservations', reservationColumns(DataTypes.FLOAT), { transaction });
+    }
+};
@@ -0,0 +1,49 @@
+// Column definitions and schema steps shared by the migrations
+//
+// Databases set up before there were migrations got their tables from sequelize.sync(), in the shape
+// of whichever version created them. The migrations therefore only add what is missing: createTable
+// skips tables that exist, and the helpers below skip columns and indexes that exist.
+
+const timestamps = (DataTypes) => ({
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+});
+
+const id = (DataTypes) => ({ type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true, allowNull: false });
+
+// Integer column referencing the id of `table`
+const foreignKey = (DataTypes, table, { allowNull = false, unique = false, onDelete = 'CASCADE' } = {}) => ({
+    type: DataTypes.INTEGER,
+    allowNull,
+    unique,
+    references: { model: table, key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete
+});
+
+// Adds the columns of `columns` that `table` does not have yet
+const addMissingColumns = async (queryInterface, table, columns, options) => {
+    const existing = await queryInterface.describeTable(table, options);
+    for (const [name, column] of Object.entries(columns)) {
+        if (!existing[name]) {
+            await queryInterface.addColumn(table, name, column, options);
+        }
+    }
+};
+
+// Removes the columns of `columns` from `table`, with their foreign keys
+const removeColumns = async (queryInterface, table, columns, options) => {
+    for (const name of Object.keys(columns).reverse()) {
+        await queryInterface.removeColumn(table, name, options);
+    }
+};
+
+// Adds the index `name` on `fields` unless `table` has it
+const addMissingIndex = async (queryInterface, table, fields, { name, unique = false }, options) => {
+    const indexes = await queryInterface.showIndex(table, options);
+    if (!indexes.some((index) => index.name === name)) {
+        await queryInterface.addIndex(table, fields, { ...options, name, unique });
+    }
+};
+
+module.exports = { timestamps, id, foreignKey, addMissingColumns, removeColumns, addMissingIndex };
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { signPayload, verifySignature } = require('../utils/signature');
+
+// Payment provider that keeps payments in memory, for local development and tests.
+// Like Stripe test cards, the payment method decides the outcome of an authorization:
+// pm_card_declined fails, pm_card_authentication_required waits for the customer
+// (finish it by sending the webhook from `signWebhook`), anything else is authorized.
+const createFakeProvider = ({ webhookSecret }) => {
+    const payments = new Map();
+
+    // Results of calls made with an idempotency key, returned again when the key is reused
+    const results = new Map();
+    const once = async (idempotencyKey, call) => {
+        if (!idempotencyKey) {
+            return call();
+        }
+        if (!results.has(idempotencyKey)) {
+            results.set(idempotencyKey, await call());
+        }
+        return results.get(idempotencyKey);
+    };
+
+    const find = (id) => {
+        const payment = payments.get(id);
+        if (!payment) {
+            throw new Error(`No such payment: ${id}`);
+        }
+        return payment;
+    };
+
+    return {
+        name: 'fake',
+        signatureHeader: 'Payment-Signature',
+        payments,
+        authorize: async ({ amount, currency, paymentMethod = 'pm_card_visa' }) => {
+            const id = `fake_pi_${crypto.randomBytes(12).toString('hex')}`;
+            if (paymentMethod === 'pm_card_declined') {
+                payments.set(id, { amount, currency, status: 'failed', captured: 0, refunded: 0 });
+                return { id, status: 'failed', failureReason: 'Your card was declined.' };
+            }
+            const status = paymentMethod === 'pm_card_authentication_required' ? 'pending' : 'authorized';
+            payments.set(id, { amount, currency, status, captured: 0, refunded: 0 });
+            return { id, status, clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}` };
+        },
+        capture: (id, { amount, idempotencyKey }) => once(idempotencyKey, async () => {
+            const payment = find(id);
+            if (payment.status !== 'authorized') {
+                throw new Error(`A ${payment.status} payment cannot be captured.`);
+            }
+            if (amount > payment.amount) {
+                throw new Error('Cannot capture more than the authorized amount.');
+            }
+            Object.assign(payment, { status: 'captured', captured: amount });
+            return { capturedAmount: amount };
+        }),
+        refund: (id, { amount, idempotencyKey }) => once(idempotencyKey, async () => {
+            const payment = find(id);
+            if (amount > payment.captured - payment.refunded) {
+                throw new Error('Cannot refund more than the captured amount.');
+            }
+            payment.refunded += amount;
+            return { refundedAmount: payment.refunded };
+        }),
+        void: async (id) => {
+            const payment = find(id);
+            if (!['pending', 'authorized'].includes(payment.status)) {
+                throw new Error(`A ${payment.status} payment cannot be voided.`);
+            }
+            payment.status = 'voided';
+        },
+        parseWebhook: (rawBody, signature) => {
+            verifySignature(rawBody, signature, webhookSecret);
+            const { paymentId, status, refundedAmount, failureReason } = JSON.parse(rawBody);
+            return { paymentId, status, refundedAmount, failureReason };
+        },
+        // Body and signature header of a webhook as the provider would send it, e.g.
+        // signWebhook({ paymentId, status: 'authorized' }) once authentication succeeds
+        signWebhook: (event) => {
+            if (payments.has(event.paymentId) && event.status) {
+                payments.get(event.paymentId).status = event.status;
+            }
+            const body = JSON.stringify(event);
+            return { body, signature: signPayload(body, webhookSecret) };
+        }
+    };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,59 @@
+const createFakeProvider = require('./fakeProvider');
+const createStripeProvider = require('./stripeProvider');
+const { signPayload, verifySignature } = require('../utils/signature');
+const { requireOptional } = require('../utils/optionalDependency');
+require('dotenv').config();
+
+// A payment provider is any object with authorize({ amount, currency, paymentMethod, reservationId,
+// idempotencyKey }), capture(id, { amount, idempotencyKey }), refund(id, { amount, idempotencyKey }),
+// void(id) and parseWebhook(rawBody, signature), plus the name of the header carrying webhook
+// signatures. A call repeated with the same idempotency key answers like the first one.
+// PAYMENT_PROVIDER picks the implementation: fake (default) or stripe. In production both it and
+// PAYMENT_WEBHOOK_SECRET must be set: without a provider no money would be taken, and the fake
+// provider's default secret is public, so anyone could sign its webhooks.
+const createPaymentProvider = (provider = process.env.PAYMENT_PROVIDER) => {
+    if (process.env.NODE_ENV === 'production') {
+        if (!provider) {
+            throw new Error('PAYMENT_PROVIDER must be set in production.');
+        }
+        if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+            throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production.');
+        }
+    }
+    switch (provider || 'fake') {
+        case 'fake':
+            return createFakeProvider({ webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret' });
+        case 'stripe': {
+            const Stripe = requireOptional('stripe', 'PAYMENT_PROVIDER=stripe');
+            return createStripeProvider(new Stripe(process.env.STRIPE_SECRET_KEY), {
+                webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET
+            });
+        }
+        default:
+            throw new Error(`Unknown payment provider: ${provider}`);
+    }
+};
+
+let paymentProvider;
+
+const getPaymentProvider = () => {
+    if (!paymentProvider) {
+        paymentProvider = createPaymentProvider();
+    }
+    return paymentProvider;
+};
+
+// Replaces the payment provider, e.g. with a fresh fake provider in tests
+const setPaymentProvider = (replacement) => {
+    paymentProvider = replacement;
+};
+
+module.exports = {
+    createPaymentProvider,
+    createFakeProvider,
+    createStripeProvider,
+    getPaymentProvider,
+    setPaymentProvider,
+    signPayload,
+    verifySignature
+};
@@ -0,0 +1,77 @@
+// Adapter for Stripe PaymentIntents with manual capture. `stripe` is a client from the
+// official `stripe` package. Amounts are in major units here and in cents at Stripe.
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const STATUSES = {
+    requires_payment_method: 'pending',
+    requires_confirmation: 'pending',
+    requires_action: 'pending',
+    processing: 'pending',
+    requires_capture: 'authorized',
+    succeeded: 'captured',
+    canceled: 'voided'
+};
+
+const createStripeProvider = (stripe, { webhookSecret }) => ({
+    name: 'stripe',
+    signatureHeader: 'Stripe-Signature',
+    authorize: async ({ amount, currency, paymentMethod, reservationId, idempotencyKey }) => {
+        try {
+            const intent = await stripe.paymentIntents.create({
+                amount: toCents(amount),
+                currency,
+                capture_method: 'manual',
+                payment_method: paymentMethod,
+                confirm: Boolean(paymentMethod),
+                metadata: { reservationId: String(reservationId) }
+            }, { idempotencyKey });
+            return { id: intent.id, status: STATUSES[intent.status] || 'pending', clientSecret: intent.client_secret };
+        } catch (error) {
+            // Card errors still create a PaymentIntent; other errors are not a payment outcome
+            if (error.type === 'StripeCardError' && error.payment_intent) {
+                return { id: error.payment_intent.id, status: 'failed', failureReason: error.message };
+            }
+            throw error;
+        }
+    },
+    capture: async (id, { amount, idempotencyKey }) => {
+        const intent = await stripe.paymentIntents.capture(id, {
+            amount_to_capture: toCents(amount)
+        }, { idempotencyKey });
+        return { capturedAmount: fromCents(intent.amount_received) };
+    },
+    refund: async (id, { amount, idempotencyKey }) => {
+        await stripe.refunds.create({ payment_intent: id, amount: toCents(amount) }, { idempotencyKey });
+        const intent = await stripe.paymentIntents.retrieve(id, { expand: ['latest_charge'] });
+        return { refundedAmount: fromCents(intent.latest_charge ? intent.latest_charge.amount_refunded : 0) };
+    },
+    void: async (id) => {
+        await stripe.paymentIntents.cancel(id);
+    },
+    // Translates the Stripe events the payment flow depends on; other events are ignored (null)
+    parseWebhook: (rawBody, signature) => {
+        const event = stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+        const object = event.data.object;
+        switch (event.type) {
+            case 'payment_intent.amount_capturable_updated':
+                return { paymentId: object.id, status: 'authorized' };
+            case 'payment_intent.succeeded':
+                return { paymentId: object.id, status: 'captured', capturedAmount: fromCents(object.amount_received) };
+            case 'payment_intent.payment_failed':
+                return {
+                    paymentId: object.id,
+                    status: 'failed',
+                    failureReason: object.last_payment_error ? object.last_payment_error.message : null
+                };
+            case 'payment_intent.canceled':
+                return { paymentId: object.id, status: 'voided' };
+            case 'charge.refunded':
+                return { paymentId: object.payment_intent, status: 'refunded', refundedAmount: fromCents(object.amount_refunded) };
+            default:
+                return null;
+        }
+    }
+});
+
+module.exports = createStripeProvider;
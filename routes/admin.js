@@ -0,0 +1,267 @@
+const express = require('express');
+const { User, Property } = require('../sequelize');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const { performTransition } = require('../utils/reservationStatus');
+const { refundPayment } = require('../utils/payments');
+const { publishPropertyEvent } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Every admin endpoint requires an authenticated admin
+router.use(authenticateJWT, requireRole('admin'));
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List all users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [guest, host, admin]
+ *         description: Only return users with this role
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of the page
+ *     responses:
+ *       200:
+ *         description: List of users
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.get('/users', async (req, res) => {
+    const { role, offset } = req.query;
+    const filter = {};
+
+    if (role) {
+        filter.role = role;
+    }
+
+    const pagination = {
+        limit: 20,
+        offset: offset ? parseInt(offset, 10) : 0 // Default page is 0
+    };
+
+    try {
+        const users = await User.findAll({
+            where: filter,
+            attributes: { exclude: ['password'] },
+            order: [['id', 'asc']],
+            limit: pagination.limit,
+            offset: pagination.offset * pagination.limit
+        });
+        res.send(users);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve users.' });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/suspend:
+ *   put:
+ *     summary: Suspend a user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Admins cannot suspend themselves
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.put('/users/:id/suspend', async (req, res) => {
+    if (parseInt(req.params.id, 10) === req.user.userId) {
+        return res.status(400).send({ error: 'You cannot suspend your own account.' });
+    }
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+        return res.status(404).send({ error: 'User not found.' });
+    }
+    await user.update({ suspended: true });
+    res.send({ message: 'User suspended successfully.' });
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/reactivate:
+ *   put:
+ *     summary: Reactivate a suspended user account
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.put('/users/:id/reactivate', async (req, res) => {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+        return res.status(404).send({ error: 'User not found.' });
+    }
+    await user.update({ suspended: false });
+    res.send({ message: 'User reactivated successfully.' });
+});
+
+/**
+ * @swagger
+ * /admin/reservations/{id}/cancel:
+ *   post:
+ *     summary: Force-cancel a reservation that is not yet completed
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation cancelled with a full refund
+ *       502:
+ *         description: The refund could not be issued; the reservation is not cancelled
+ *       409:
+ *         description: The reservation is already completed, declined or cancelled
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.post('/reservations/:id/cancel', async (req, res) => {
+    try {
+        // Cancellations by the platform refund the guest in full
+        const { reservation, status, error } = await performTransition(req.params.id, 'forceCancel', req.user, {
+            note: req.body && req.body.note,
+            prepare: async (locked, transaction) => {
+                const paymentError = await refundPayment(locked, locked.totalPrice, { transaction });
+                return paymentError || {
+                    changes: { cancelledAt: new Date(), refundPercent: 100, refundAmount: locked.totalPrice }
+                };
+            }
+        });
+        if (error) {
+            return res.status(status).send({ error });
+        }
+        res.send(reservation);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to cancel reservation.' });
+    }
+});
+
+/**
+ * @swagger
+ * /admin/properties/{id}/unlist:
+ *   put:
+ *     summary: Unlist a property so it can no longer be found or booked
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Property unlisted
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.put('/properties/:id/unlist', async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+    await property.update({ listed: false });
+    publishPropertyEvent('property.updated', property);
+    res.send({ message: 'Property unlisted successfully.' });
+});
+
+/**
+ * @swagger
+ * /admin/properties/{id}/relist:
+ *   put:
+ *     summary: List a previously unlisted property again
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Property listed
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.put('/properties/:id/relist', async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+    await property.update({ listed: true });
+    publishPropertyEvent('property.updated', property);
+    res.send({ message: 'Property listed successfully.' });
+});
+
+module.exports = router;
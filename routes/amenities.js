@@ -0,0 +1,70 @@
+const express = require('express');
+const { Amenity } = require('../sequelize');
+const { validateAmenity } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /amenities:
+ *   get:
+ *     summary: Get the amenity catalog
+ *     tags: [Amenities]
+ *     responses:
+ *       200:
+ *         description: Every amenity hosts can add to their properties, by name
+ */
+router.get('/', async (req, res) => {
+    const amenities = await Amenity.findAll({ order: [['name', 'asc']] });
+    res.send(amenities);
+});
+
+/**
+ * @swagger
+ * /amenities:
+ *   post:
+ *     summary: Add an amenity to the catalog
+ *     tags: [Amenities]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 description: Identifier used in filters, e.g. air-conditioning
+ *               name:
+ *                 type: string
+ *                 description: Label shown to guests, e.g. Air conditioning
+ *     responses:
+ *       201:
+ *         description: Amenity created successfully
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: An amenity with this key already exists
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.post('/', authenticateJWT, requireRole('admin'), validateAmenity, async (req, res) => {
+    const { key, name } = req.body;
+    try {
+        const amenity = await Amenity.create({ key, name });
+        res.status(201).send(amenity);
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ error: 'An amenity with this key already exists.' });
+        }
+        res.status(500).send({ error: 'Failed to create amenity.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const { Property } = require('../sequelize');
+const { validateAnalyticsQuery } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const { propertyAnalytics, ANALYTICS_COLUMNS, analyticsRows } = require('../utils/analytics');
+const { CURRENCY } = require('../utils/payments');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// Hosts report on their own properties; admins, e.g. for finance, on every host's
+router.use(authenticateJWT, requireRole('host', 'admin'));
+
+/**
+ * @swagger
+ * /analytics/properties:
+ *   get:
+ *     summary: Occupancy and revenue of properties per month over a period
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Counts the nights from `from` up to (not including) `to` of confirmed, checked-in and completed
+ *       reservations. Occupancy rate is booked nights over nights not blocked by the host, average daily
+ *       rate is revenue per booked night, revenue spreads each stay's price evenly over its nights, and
+ *       lead time is the average number of days between booking and arrival of the stays arriving in the month.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the period, at most 731 days after from
+ *       - in: query
+ *         name: propertyId
+ *         schema:
+ *           type: integer
+ *         description: Only report on this property
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Admins only, report on the properties of this host
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv returns one line per property and month
+ *     responses:
+ *       200:
+ *         description: Figures per property for each month and for the whole period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.get('/properties', validateAnalyticsQuery, async (req, res) => {
+    const { from, to, propertyId, ownerId, format } = req.query;
+
+    const filter = {};
+    if (req.user.role !== 'admin') {
+        filter.ownerId = req.user.userId;
+    } else if (ownerId) {
+        filter.ownerId = parseInt(ownerId, 10);
+    }
+    if (propertyId) {
+        filter.id = parseInt(propertyId, 10);
+    }
+
+    try {
+        const properties = await Property.findAll({
+            where: filter,
+            attributes: ['id', 'name', 'ownerId'],
+            order: [['id', 'asc']]
+        });
+        if (propertyId && properties.length === 0) {
+            return res.status(404).send({ error: 'Property not found.' });
+        }
+
+        const analytics = await propertyAnalytics(properties, new Date(from), new Date(to));
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="analytics-${from.slice(0, 10)}-${to.slice(0, 10)}.csv"`);
+            return res.send(toCsv(ANALYTICS_COLUMNS, analyticsRows(analytics, CURRENCY)));
+        }
+        res.send({ from, to, currency: CURRENCY, properties: analytics });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to build analytics.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { sequelize, User, RefreshToken } = require('../sequelize');
+const { validatePasswordReset } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { emailLimiter } = require('../middleware/rateLimit');
+const { hashToken, issueTokens, revokeFamily, revokeAllForUser } = require('../utils/tokens');
+const { consumeActionToken } = require('../utils/actionTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token. The old refresh token can no longer be used.
+ *       400:
+ *         description: No refresh token provided
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ */
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).send({ error: 'Refresh token is required.' });
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        const stored = await RefreshToken.findOne({
+            where: { tokenHash: hashToken(refreshToken) },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!stored) {
+            await transaction.rollback();
+            return res.status(401).send({ error: 'Invalid refresh token.' });
+        }
+
+        // A rotated-out token being used again means it leaked: end the whole session
+        if (stored.revokedAt) {
+            await revokeFamily(stored.family, { transaction });
+            await transaction.commit();
+            return res.status(401).send({ error: 'Refresh token has been revoked. Please sign in again.' });
+        }
+
+        if (stored.expiresAt <= new Date()) {
+            await transaction.rollback();
+            return res.status(401).send({ error: 'Refresh token expired. Please sign in again.' });
+        }
+
+        const user = await User.findByPk(stored.UserId, { transaction });
+        if (!user || user.suspended) {
+            await revokeFamily(stored.family, { transaction });
+            await transaction.commit();
+            return res.status(401).send({ error: 'Account is suspended or no longer exists.' });
+        }
+
+        await stored.update({ revokedAt: new Date() }, { transaction });
+        const tokens = await issueTokens(user, { family: stored.family, transaction });
+
+        await transaction.commit();
+        res.send(tokens);
+    } catch (error) {
+        await transaction.rollback();
+        res.status(500).send({ error: 'Failed to refresh token.' });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out of the current session, or of all sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allSessions:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Logged out. The session's access and refresh tokens are no longer accepted.
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.post('/logout', authenticateJWT, async (req, res) => {
+    try {
+        if (req.body && req.body.allSessions === true) {
+            await revokeAllForUser(req.user.userId);
+            return res.send({ message: 'Logged out of all sessions.' });
+        }
+        await revokeFamily(req.user.sid);
+        res.send({ message: 'Logged out successfully.' });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to log out.' });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset token to the account with this address
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Same answer whether or not the account exists, so addresses cannot be probed
+ *       429:
+ *         description: Too many emails requested
+ */
+router.post('/forgot-password', emailLimiter, async (req, res) => {
+    const { email } = req.body;
+    try {
+        const user = typeof email === 'string' ? await User.findOne({ where: { email } }) : null;
+        // Not awaited: answering only after the email went out would tell which addresses have an account
+        if (user && !user.suspended) {
+            sendPasswordResetEmail(user).catch((error) => {
+                console.error('Failed to send password reset email:', error);
+            });
+        }
+    } catch (error) {
+        console.error('Failed to look up the account for a password reset:', error);
+    }
+    res.send({ message: 'If an account with this email exists, a password reset email has been sent.' });
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with a token from the password reset email
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed. All existing sessions are revoked.
+ *       400:
+ *         description: Invalid, expired or already used token, or a password that breaks the rules
+ */
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+    const { token, password } = req.body;
+
+    const transaction = await sequelize.transaction();
+    try {
+        const userId = await consumeActionToken(token, 'reset_password', { transaction });
+        const user = userId && await User.findByPk(userId, { transaction });
+        if (!user) {
+            await transaction.rollback();
+            return res.status(400).send({ error: 'Invalid or expired token.' });
+        }
+
+        await user.update({ password: await bcrypt.hash(password, 10) }, { transaction });
+        await revokeAllForUser(user.id, { transaction });
+
+        await transaction.commit();
+        res.send({ message: 'Password changed successfully. Please sign in again.' });
+    } catch (error) {
+        await transaction.rollback();
+        res.status(500).send({ error: 'Failed to reset password.' });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Confirm an email address with the link from the verification email
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid, expired or already used token
+ */
+router.get('/verify-email', async (req, res) => {
+    const { token } = req.query;
+    if (!token || typeof token !== 'string') {
+        return res.status(400).send({ error: 'Token is required.' });
+    }
+
+    try {
+        const userId = await consumeActionToken(token, 'verify_email');
+        const user = userId && await User.findByPk(userId);
+        if (!user) {
+            return res.status(400).send({ error: 'Invalid or expired token.' });
+        }
+        await user.update({ emailVerified: true });
+        res.send({ message: 'Email verified successfully.' });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to verify email.' });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Send the email verification link again
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Too many emails requested
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.post('/resend-verification', emailLimiter, authenticateJWT, async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    if (user.emailVerified) {
+        return res.status(400).send({ error: 'Email is already verified.' });
+    }
+    try {
+        await sendVerificationEmail(user);
+        res.send({ message: 'Verification email sent.' });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to send verification email.' });
+    }
+});
+
+module.exports = router;
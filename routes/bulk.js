@@ -0,0 +1,268 @@
+const express = require('express');
+const { User } = require('../sequelize');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const { toCsv } = require('../utils/csv');
+const {
+    PROPERTY_COLUMNS, RESERVATION_COLUMNS, parseRows, toCsvRecord,
+    importProperties, importReservations, exportProperties, exportReservations
+} = require('../utils/bulk');
+
+const router = express.Router();
+
+// Bulk endpoints work on the user's own properties; admins can work on every host's
+router.use(authenticateJWT, requireRole('host', 'admin'));
+
+// Rows sent as a CSV document (Content-Type text/csv) or as JSON
+const readRows = (req, res) => {
+    try {
+        return parseRows(req.body, req.is('text/csv') ? 'csv' : 'json');
+    } catch (error) {
+        res.status(400).send({ error: error.message });
+        return null;
+    }
+};
+
+// 201 when the rows were imported, 200 for a dry run that found no errors, 400 otherwise
+const sendReport = (res, report) => {
+    if (!report.valid) {
+        return res.status(400).send({ error: 'No rows were imported: some rows are invalid.', ...report });
+    }
+    res.status(report.dryRun ? 200 : 201).send(report);
+};
+
+const sendExport = (res, format, name, columns, rows) => {
+    if (format === 'csv') {
+        res.type('text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+        return res.send(toCsv(columns, rows.map(toCsvRecord)));
+    }
+    res.send(rows);
+};
+
+/**
+ * @swagger
+ * /bulk/properties/import:
+ *   post:
+ *     summary: Create many properties at once from CSV or JSON
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Every row is checked with the same rules as POST /properties. The rows are all created in one
+ *       transaction, or none of them when any row is invalid. In CSV, amenities is a comma-separated list
+ *       of keys and cancellationTiers a JSON array; the CSV export has the same columns.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only check the rows and report their errors, without creating anything
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Admins only, the host to create the properties for
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       201:
+ *         description: Properties created; the report gives the id of each row's property
+ *       200:
+ *         description: Dry run without errors
+ *       400:
+ *         description: Unreadable rows, or a report with the errors of each row; nothing was created
+ *       404:
+ *         description: Host not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.post('/properties/import', async (req, res) => {
+    let ownerId = req.user.userId;
+    if (req.user.role === 'admin') {
+        const owner = req.query.ownerId && await User.findByPk(req.query.ownerId);
+        if (!owner || owner.role !== 'host') {
+            return res.status(404).send({ error: 'Host not found. Admins must give the ownerId of a host.' });
+        }
+        ownerId = owner.id;
+    }
+
+    const rows = readRows(req, res);
+    if (!rows) {
+        return;
+    }
+    try {
+        sendReport(res, await importProperties(rows, ownerId, { dryRun: req.query.dryRun === 'true' }));
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to import properties.' });
+    }
+});
+
+/**
+ * @swagger
+ * /bulk/properties/export:
+ *   get:
+ *     summary: Export your properties as CSV or JSON
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Admins only, export the properties of this host instead of every property
+ *     responses:
+ *       200:
+ *         description: Properties with their amenities, in the columns the import accepts
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.get('/properties/export', async (req, res) => {
+    const ownerId = req.user.role === 'admin' ? parseInt(req.query.ownerId, 10) || undefined : req.user.userId;
+    try {
+        const rows = await exportProperties({ ownerId });
+        sendExport(res, req.query.format, 'properties', PROPERTY_COLUMNS, rows);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to export properties.' });
+    }
+});
+
+/**
+ * @swagger
+ * /bulk/reservations/import:
+ *   post:
+ *     summary: Create many reservations at once from CSV or JSON, e.g. bookings moved from another platform
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Only admins import reservations here: rows name guests by email address, and whether a row is accepted
+ *       would tell anyone else which addresses have accounts. Hosts' bookings are imported with npm run bulk.
+ *       Every row is checked with the same rules as POST /reservations: valid dates, the property's capacity
+ *       and house rules, and no overlap with other bookings, blocked periods or earlier rows. Rows name the
+ *       guest by guestEmail and may give a status (pending, confirmed, checked_in or completed; default
+ *       confirmed) and a totalPrice (default: the price of a new booking). No payment is taken. The rows are
+ *       all created in one transaction, or none of them when any row is invalid.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only check the rows and report their errors, without creating anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       201:
+ *         description: Reservations created; the report gives the id of each row's reservation
+ *       200:
+ *         description: Dry run without errors
+ *       400:
+ *         description: Unreadable rows, or a report with the errors of each row; nothing was created
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.post('/reservations/import', requireRole('admin'), async (req, res) => {
+    const rows = readRows(req, res);
+    if (!rows) {
+        return;
+    }
+    try {
+        sendReport(res, await importReservations(rows, req.user, { dryRun: req.query.dryRun === 'true' }));
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to import reservations.' });
+    }
+});
+
+/**
+ * @swagger
+ * /bulk/reservations/export:
+ *   get:
+ *     summary: Export the reservations of your properties as CSV or JSON
+ *     tags: [Bulk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only export stays ending after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only export stays starting before this date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, declined, checked_in, completed, cancelled]
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: integer
+ *         description: Admins only, export the reservations of this host's properties instead of every reservation
+ *     responses:
+ *       200:
+ *         description: Reservations with their property and guest email, in the columns the import accepts
+ *       400:
+ *         description: Invalid dates
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.get('/reservations/export', async (req, res) => {
+    const { from, to, status, format } = req.query;
+    if ([from, to].some((date) => date !== undefined && Number.isNaN(new Date(date).getTime()))) {
+        return res.status(400).send({ error: 'from and to must be valid dates.' });
+    }
+    const ownerId = req.user.role === 'admin' ? parseInt(req.query.ownerId, 10) || undefined : req.user.userId;
+    try {
+        const rows = await exportReservations({ ownerId, from, to, status });
+        sendExport(res, format, 'reservations', RESERVATION_COLUMNS, rows);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to export reservations.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const crypto = require('crypto');
+const { Property, Reservation, BlockedPeriod, CalendarImport, Op } = require('../sequelize');
+const { validateCalendarImport } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizePropertyOwner } = require('../middleware/authorize');
+const { uploadCalendar } = require('../middleware/uploadCalendar');
+const { hashToken } = require('../utils/tokens');
+const { DAY, startOfDay } = require('../utils/availability');
+const { INACTIVE_STATUSES } = require('../utils/reservationStatus');
+const { buildCalendarFeed } = require('../utils/ical');
+const { importCalendar, syncCalendarImport } = require('../utils/calendarSync');
+require('dotenv').config();
+
+const router = express.Router();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// All-day event covering the nights of a stay or blocked period
+const feedEvent = (uid, start, end, summary) => {
+    const first = startOfDay(start);
+    return { uid, start: first, end: new Date(Math.max(startOfDay(end).getTime(), first.getTime() + DAY)), summary };
+};
+
+/**
+ * @swagger
+ * /properties/{id}/calendar.ics:
+ *   get:
+ *     summary: iCalendar feed of the booked and blocked nights of a property, for other platforms to import
+ *     tags: [Calendar sync]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Secret token from POST /properties/{id}/calendar-token
+ *     responses:
+ *       200:
+ *         description: One all-day event per current or upcoming reservation and blocked period, without guest details
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Property not found, or wrong token
+ */
+router.get('/:id/calendar.ics', async (req, res) => {
+    const { token } = req.query;
+    const property = typeof token === 'string' && await Property.findOne({
+        where: { id: req.params.id, calendarTokenHash: hashToken(token) }
+    });
+    if (!property) {
+        return res.status(404).send({ error: 'Calendar not found.' });
+    }
+
+    try {
+        const today = startOfDay(new Date());
+        const reservations = await Reservation.findAll({
+            where: {
+                PropertyId: property.id,
+                status: { [Op.notIn]: INACTIVE_STATUSES },
+                departureTime: { [Op.gt]: today }
+            },
+            order: [['arrivalTime', 'asc']]
+        });
+        const blockedPeriods = await BlockedPeriod.findAll({
+            where: { PropertyId: property.id, endTime: { [Op.gt]: today } },
+            order: [['startTime', 'asc']]
+        });
+
+        const host = new URL(APP_URL).hostname;
+        const events = [
+            ...reservations.map((r) => feedEvent(`reservation-${r.id}@${host}`, r.arrivalTime, r.departureTime, 'Reserved')),
+            ...blockedPeriods.map((b) => feedEvent(`blocked-${b.id}@${host}`, b.startTime, b.endTime, 'Not available'))
+        ];
+
+        res.type('text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `inline; filename="property-${property.id}.ics"`);
+        res.send(buildCalendarFeed({ name: property.name, events }));
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to build calendar.' });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/calendar-token:
+ *   post:
+ *     summary: Create the secret link of a property's iCalendar feed, replacing any previous one
+ *     tags: [Calendar sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Feed URL to paste into other platforms. It is only shown once; the previous link stops working.
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/calendar-token', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await req.property.update({ calendarTokenHash: hashToken(token) });
+    res.status(201).send({
+        url: `${APP_URL}/properties/${req.property.id}/calendar.ics?token=${token}`
+    });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/calendar-imports:
+ *   get:
+ *     summary: Get the external calendars imported into a property
+ *     tags: [Calendar sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of calendar imports with the time and error of their last sync
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.get('/:id/calendar-imports', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const calendarImports = await CalendarImport.findAll({
+        where: { PropertyId: req.property.id },
+        order: [['id', 'asc']]
+    });
+    res.send(calendarImports);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/calendar-imports:
+ *   post:
+ *     summary: Import another platform's iCalendar feed as blocked periods, and keep it in sync
+ *     tags: [Calendar sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: http, https or webcal link to the .ics feed
+ *               name:
+ *                 type: string
+ *                 description: Label of the calendar, e.g. Airbnb (defaults to the host name of the URL)
+ *     responses:
+ *       201:
+ *         description: Calendar imported. The response lists active reservations that overlap imported events.
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Property not found
+ *       502:
+ *         description: The calendar was saved but could not be downloaded or read; it is retried on the next sync
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/calendar-imports', authenticateJWT, authorizePropertyOwner, validateCalendarImport, async (req, res) => {
+    const { url } = req.body;
+    const calendarImport = await CalendarImport.create({
+        PropertyId: req.property.id,
+        name: req.body.name || new URL(url).hostname,
+        url
+    });
+
+    try {
+        const result = await syncCalendarImport(calendarImport);
+        res.status(201).send({ calendarImport, ...result });
+    } catch (error) {
+        res.status(502).send({ error: `Failed to import calendar: ${error.message}`, calendarImport });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/calendar-imports/upload:
+ *   post:
+ *     summary: Import an .ics file as blocked periods
+ *     tags: [Calendar sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               calendar:
+ *                 type: string
+ *                 format: binary
+ *                 description: iCalendar file of at most 1 MB
+ *               name:
+ *                 type: string
+ *                 description: Label of the calendar (defaults to the file name)
+ *     responses:
+ *       201:
+ *         description: Calendar imported once. The response lists active reservations that overlap imported events.
+ *       400:
+ *         description: Missing, too large or unreadable file
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/calendar-imports/upload', authenticateJWT, authorizePropertyOwner, uploadCalendar, async (req, res) => {
+    const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : req.file.originalname;
+    const calendarImport = await CalendarImport.create({ PropertyId: req.property.id, name, url: null });
+
+    try {
+        const result = await importCalendar(calendarImport, req.file.buffer.toString('utf8'));
+        res.status(201).send({ calendarImport, ...result });
+    } catch (error) {
+        await calendarImport.destroy();
+        res.status(400).send({ error: `Failed to import calendar: ${error.message}` });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/calendar-imports/{importId}/sync:
+ *   post:
+ *     summary: Download and import an external calendar now instead of waiting for the next scheduled sync
+ *     tags: [Calendar sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Calendar synced. The response lists active reservations that overlap imported events.
+ *       400:
+ *         description: The import is an uploaded file, which has no URL to sync from
+ *       404:
+ *         description: Property or calendar import not found
+ *       502:
+ *         description: The calendar could not be downloaded or read
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/calendar-imports/:importId/sync', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const calendarImport = await CalendarImport.findOne({
+        where: { id: req.params.importId, PropertyId: req.property.id }
+    });
+    if (!calendarImport) {
+        return res.status(404).send({ error: 'Calendar import not found.' });
+    }
+    if (!calendarImport.url) {
+        return res.status(400).send({ error: 'Uploaded calendars cannot be synced. Upload the file again instead.' });
+    }
+
+    try {
+        const result = await syncCalendarImport(calendarImport);
+        res.send({ calendarImport, ...result });
+    } catch (error) {
+        res.status(502).send({ error: `Failed to import calendar: ${error.message}`, calendarImport });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/calendar-imports/{importId}:
+ *   delete:
+ *     summary: Stop importing an external calendar and remove the periods it blocked
+ *     tags: [Calendar sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Calendar import deleted successfully
+ *       404:
+ *         description: Property or calendar import not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.delete('/:id/calendar-imports/:importId', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const calendarImport = await CalendarImport.findOne({
+        where: { id: req.params.importId, PropertyId: req.property.id }
+    });
+    if (!calendarImport) {
+        return res.status(404).send({ error: 'Calendar import not found.' });
+    }
+    await BlockedPeriod.destroy({ where: { CalendarImportId: calendarImport.id } });
+    await calendarImport.destroy();
+    res.send({ message: 'Calendar import deleted successfully.' });
+});
+
+module.exports = router;
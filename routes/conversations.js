@@ -0,0 +1,328 @@
+const express = require('express');
+const { sequelize, Conversation, Message, Property, Reservation, User, Op } = require('../sequelize');
+const { validateConversation, validateMessage } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizeConversationParty } = require('../middleware/authorize');
+const { involving, unreadCounts, unreadTotal, postMessage } = require('../utils/messaging');
+
+const router = express.Router();
+
+// Parties are shown by name only; contact details stay private
+const partiesInclude = [
+    { model: Property, attributes: ['id', 'name', 'city'] },
+    { model: User, as: 'guest', attributes: ['id', 'firstName', 'lastName'] },
+    { model: User, as: 'host', attributes: ['id', 'firstName', 'lastName'] }
+];
+
+// Only the guest and the host post in a conversation and mark it read; admins can only read it
+const requireParty = (req, res, next) => {
+    if (![req.conversation.guestId, req.conversation.hostId].includes(req.user.userId)) {
+        return res.status(403).send({ error: 'Access denied. Only the guest and the host can do this.' });
+    }
+    next();
+};
+
+/**
+ * @swagger
+ * /conversations:
+ *   post:
+ *     summary: Send a first message about a property (inquiry) or a reservation
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       With reservationId, either the guest or the host writes in the reservation's conversation.
+ *       With only propertyId, a guest asks the host about the property before booking. If the
+ *       conversation already exists, the message is added to it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               propertyId:
+ *                 type: integer
+ *               reservationId:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Conversation started with the message
+ *       200:
+ *         description: Message added to the existing conversation
+ *       400:
+ *         description: Bad request, e.g. an inquiry about your own property
+ *       404:
+ *         description: Property or reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
+ */
+router.post('/', authenticateJWT, validateConversation, async (req, res) => {
+    const { propertyId, reservationId, message } = req.body;
+    const { userId } = req.user;
+
+    let where;
+    let defaults;
+    if (reservationId) {
+        const reservation = await Reservation.findByPk(reservationId, { include: Property });
+        if (!reservation) {
+            return res.status(404).send({ error: 'Reservation not found.' });
+        }
+        if (reservation.UserId !== userId && reservation.Property.ownerId !== userId) {
+            return res.status(403).send({ error: 'Access denied. You are not a party to this reservation.' });
+        }
+        where = { ReservationId: reservation.id };
+        defaults = {
+            PropertyId: reservation.PropertyId,
+            ReservationId: reservation.id,
+            guestId: reservation.UserId,
+            hostId: reservation.Property.ownerId
+        };
+    } else {
+        const property = await Property.findByPk(propertyId);
+        if (!property || !property.listed) {
+            return res.status(404).send({ error: 'Property not found.' });
+        }
+        if (property.ownerId === userId) {
+            return res.status(400).send({ error: 'You cannot send an inquiry about your own property.' });
+        }
+        where = { PropertyId: property.id, guestId: userId, ReservationId: null };
+        defaults = { PropertyId: property.id, ReservationId: null, guestId: userId, hostId: property.ownerId };
+    }
+
+    try {
+        const { conversation, created, sent } = await sequelize.transaction(async (transaction) => {
+            const [found, isNew] = await Conversation.findOrCreate({ where, defaults, transaction });
+            return { conversation: found, created: isNew, sent: await postMessage(found, userId, message, { transaction }) };
+        });
+        res.status(created ? 201 : 200).send({ conversation, message: sent });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to send message.' });
+    }
+});
+
+/**
+ * @swagger
+ * /conversations:
+ *   get:
+ *     summary: List your conversations, most recently active first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of the page
+ *     responses:
+ *       200:
+ *         description: Conversations as guest or host, each with its property, parties and unreadCount
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+    const pagination = {
+        limit: 20,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) || 0 : 0 // Default page is 0
+    };
+
+    try {
+        const conversations = await Conversation.findAll({
+            where: involving(req.user.userId),
+            include: partiesInclude,
+            order: [['lastMessageAt', 'desc'], ['id', 'desc']],
+            limit: pagination.limit,
+            offset: pagination.offset * pagination.limit
+        });
+        const unread = await unreadCounts(req.user.userId, conversations.map((conversation) => conversation.id));
+        res.send(conversations.map((conversation) => ({
+            ...conversation.toJSON(),
+            unreadCount: unread.get(conversation.id) || 0
+        })));
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve conversations.' });
+    }
+});
+
+/**
+ * @swagger
+ * /conversations/unread-count:
+ *   get:
+ *     summary: Get the number of unread messages across your conversations
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Total of unread messages
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.get('/unread-count', authenticateJWT, async (req, res) => {
+    try {
+        res.send({ unread: await unreadTotal(req.user.userId) });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to count unread messages.' });
+    }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}:
+ *   get:
+ *     summary: Get a conversation by ID
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Conversation with its property, parties and your unreadCount
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this conversation.
+ */
+router.get('/:id', authenticateJWT, authorizeConversationParty, async (req, res) => {
+    const conversation = await Conversation.findByPk(req.conversation.id, { include: partiesInclude });
+    const unread = await unreadCounts(req.user.userId, [conversation.id]);
+    res.send({ ...conversation.toJSON(), unreadCount: unread.get(conversation.id) || 0 });
+});
+
+/**
+ * @swagger
+ * /conversations/{id}/messages:
+ *   get:
+ *     summary: Get the messages of a conversation, newest first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of the page
+ *     responses:
+ *       200:
+ *         description: Messages with their sender and readAt, the time the other party read them
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this conversation.
+ */
+router.get('/:id/messages', authenticateJWT, authorizeConversationParty, async (req, res) => {
+    const pagination = {
+        limit: 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) || 0 : 0 // Default page is 0
+    };
+    const messages = await Message.findAll({
+        where: { ConversationId: req.conversation.id },
+        order: [['createdAt', 'desc'], ['id', 'desc']],
+        limit: pagination.limit,
+        offset: pagination.offset * pagination.limit
+    });
+    res.send(messages);
+});
+
+/**
+ * @swagger
+ * /conversations/{id}/messages:
+ *   post:
+ *     summary: Send a message in a conversation
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the guest and the host can do this.
+ */
+router.post('/:id/messages', authenticateJWT, authorizeConversationParty, requireParty, validateMessage, async (req, res) => {
+    try {
+        const message = await postMessage(req.conversation, req.user.userId, req.body.body);
+        res.status(201).send(message);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to send message.' });
+    }
+});
+
+/**
+ * @swagger
+ * /conversations/{id}/read:
+ *   post:
+ *     summary: Mark the other party's messages in a conversation as read
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Number of messages marked as read; their senders see the readAt time
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the guest and the host can do this.
+ */
+router.post('/:id/read', authenticateJWT, authorizeConversationParty, requireParty, async (req, res) => {
+    const [read] = await Message.update({ readAt: new Date() }, {
+        where: {
+            ConversationId: req.conversation.id,
+            senderId: { [Op.ne]: req.user.userId },
+            readAt: null
+        }
+    });
+    res.send({ read });
+});
+
+module.exports = router;
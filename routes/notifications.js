@@ -0,0 +1,170 @@
+const express = require('express');
+const { User, Notification } = require('../sequelize');
+const { validateNotificationPreferences } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { preferencesOf } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Notifications are private to the user they were sent to
+router.use(authenticateJWT);
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List your notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return notifications that have not been read
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of the page
+ *     responses:
+ *       200:
+ *         description: Notifications with their type, message, data and readAt, plus the number of unread ones
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.get('/', async (req, res) => {
+    const filter = { UserId: req.user.userId };
+    if (req.query.unread === 'true') {
+        filter.readAt = null;
+    }
+
+    const pagination = {
+        limit: 20,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) || 0 : 0 // Default page is 0
+    };
+
+    try {
+        const notifications = await Notification.findAll({
+            where: filter,
+            order: [['createdAt', 'desc'], ['id', 'desc']],
+            limit: pagination.limit,
+            offset: pagination.offset * pagination.limit
+        });
+        const unread = await Notification.count({ where: { UserId: req.user.userId, readAt: null } });
+        res.send({ unread, notifications });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve notifications.' });
+    }
+});
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     summary: Get which types of notifications you receive
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every notification type with true when it is turned on
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.get('/preferences', async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    res.send(preferencesOf(user));
+});
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   put:
+ *     summary: Turn types of notifications on or off
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Notification types to change; the others keep their setting
+ *             additionalProperties:
+ *               type: boolean
+ *             example:
+ *               reservation.review_prompt: false
+ *               wishlist.price_drop: true
+ *     responses:
+ *       200:
+ *         description: Every notification type with true when it is turned on
+ *       400:
+ *         description: Unknown notification type or a value that is not a boolean
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.put('/preferences', validateNotificationPreferences, async (req, res) => {
+    const user = await User.findByPk(req.user.userId);
+    await user.update({ notificationPreferences: { ...preferencesOf(user), ...req.body } });
+    res.send(preferencesOf(user));
+});
+
+/**
+ * @swagger
+ * /notifications/read:
+ *   post:
+ *     summary: Mark all your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.post('/read', async (req, res) => {
+    const [read] = await Notification.update({ readAt: new Date() }, {
+        where: { UserId: req.user.userId, readAt: null }
+    });
+    res.send({ read });
+});
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.post('/:id/read', async (req, res) => {
+    const notification = await Notification.findOne({ where: { id: req.params.id, UserId: req.user.userId } });
+    if (!notification) {
+        return res.status(404).send({ error: 'Notification not found.' });
+    }
+    if (!notification.readAt) {
+        await notification.update({ readAt: new Date() });
+    }
+    res.send(notification);
+});
+
+module.exports = router;
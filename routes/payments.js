@@ -0,0 +1,47 @@
+const express = require('express');
+const { getPaymentProvider } = require('../payments');
+const { applyPaymentEvent } = require('../utils/payments');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Receive payment events from the payment provider
+ *     tags: [Payments]
+ *     security: []
+ *     description: The body must be signed by the provider in the Stripe-Signature header (stripe) or the Payment-Signature header (fake provider), with PAYMENT_WEBHOOK_SECRET.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event received. Events about unknown payments and event types the API does not use are ignored.
+ *       400:
+ *         description: Missing or invalid signature
+ */
+router.post('/webhook', async (req, res) => {
+    const provider = getPaymentProvider();
+    let event;
+    try {
+        event = provider.parseWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.get(provider.signatureHeader));
+    } catch (error) {
+        return res.status(400).send({ error: 'Invalid webhook signature.' });
+    }
+
+    try {
+        if (event) {
+            await applyPaymentEvent(event);
+        }
+        res.send({ received: true });
+    } catch (error) {
+        // A 5xx makes the provider deliver the event again later
+        res.status(500).send({ error: 'Failed to process webhook.' });
+    }
+});
+
+module.exports = router;
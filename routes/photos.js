@@ -0,0 +1,298 @@
+const express = require('express');
+const crypto = require('crypto');
+const { sequelize, Property, Photo } = require('../sequelize');
+const { validatePhotoUpdate, validatePhotoOrder } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizePropertyOwner } = require('../middleware/authorize');
+const { uploadPhotos, PHOTO_TYPES } = require('../middleware/uploadPhotos');
+const { getStorage } = require('../storage');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /properties/{id}/photos:
+ *   get:
+ *     summary: Get the photos of a property in display order
+ *     tags: [Photos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of photos with their URLs
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/photos', async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property || !property.listed) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+    const photos = await Photo.findAll({
+        where: { PropertyId: property.id },
+        order: [['position', 'asc'], ['id', 'asc']]
+    });
+    res.send(photos);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/photos:
+ *   post:
+ *     summary: Upload photos of a property
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photos:
+ *                 type: array
+ *                 description: Up to 10 JPEG, PNG or WebP images (MAX_PHOTO_SIZE bytes each, 5 MB by default)
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               caption:
+ *                 type: string
+ *                 description: Caption given to every uploaded photo
+ *     responses:
+ *       201:
+ *         description: Photos uploaded and added after the existing ones. The first photo of a property becomes its cover.
+ *       400:
+ *         description: Missing, too large, too many or unsupported files
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/photos', authenticateJWT, authorizePropertyOwner, uploadPhotos, async (req, res) => {
+    const { property } = req;
+    const caption = typeof req.body.caption === 'string' && req.body.caption.trim() ? req.body.caption.trim() : null;
+
+    const saved = [];
+    try {
+        for (const file of req.files) {
+            const key = `properties/${property.id}/${crypto.randomUUID()}.${PHOTO_TYPES[file.mimetype].extension}`;
+            await getStorage().save({ key, buffer: file.buffer, contentType: file.mimetype });
+            saved.push({ key, file });
+        }
+
+        const photos = await sequelize.transaction(async (transaction) => {
+            const existing = await Photo.findAll({ where: { PropertyId: property.id }, transaction });
+            const nextPosition = existing.reduce((max, photo) => Math.max(max, photo.position + 1), 0);
+            const hasCover = existing.some((photo) => photo.isCover);
+
+            return Photo.bulkCreate(saved.map(({ key, file }, index) => ({
+                PropertyId: property.id,
+                storageKey: key,
+                contentType: file.mimetype,
+                size: file.size,
+                caption,
+                position: nextPosition + index,
+                isCover: !hasCover && index === 0
+            })), { transaction });
+        });
+        res.status(201).send(photos);
+    } catch (error) {
+        // Do not leave files behind for photos that were not recorded
+        await Promise.all(saved.map(({ key }) => getStorage().remove(key).catch(() => {})));
+        res.status(500).send({ error: 'Failed to upload photos.' });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/photos/order:
+ *   put:
+ *     summary: Reorder the photos of a property
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photoIds:
+ *                 type: array
+ *                 description: Every photo ID of the property, in the new display order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Photos in their new order
+ *       400:
+ *         description: photoIds does not list every photo of the property exactly once
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.put('/:id/photos/order', authenticateJWT, authorizePropertyOwner, validatePhotoOrder, async (req, res) => {
+    const photoIds = req.body.photoIds.map((id) => parseInt(id, 10));
+    const photos = await Photo.findAll({ where: { PropertyId: req.property.id } });
+
+    const known = new Set(photos.map((photo) => photo.id));
+    if (new Set(photoIds).size !== photoIds.length || photoIds.length !== known.size || photoIds.some((id) => !known.has(id))) {
+        return res.status(400).send({ error: 'photoIds must list every photo of the property exactly once.' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        for (const [position, id] of photoIds.entries()) {
+            await Photo.update({ position }, { where: { id }, transaction });
+        }
+    });
+
+    const ordered = await Photo.findAll({
+        where: { PropertyId: req.property.id },
+        order: [['position', 'asc']]
+    });
+    res.send(ordered);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/photos/{photoId}:
+ *   put:
+ *     summary: Change the caption of a photo or make it the cover photo
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *               isCover:
+ *                 type: boolean
+ *                 description: true makes this the property's only cover photo
+ *     responses:
+ *       200:
+ *         description: Photo updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Property or photo not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.put('/:id/photos/:photoId', authenticateJWT, authorizePropertyOwner, validatePhotoUpdate, async (req, res) => {
+    const photo = await Photo.findOne({ where: { id: req.params.photoId, PropertyId: req.property.id } });
+    if (!photo) {
+        return res.status(404).send({ error: 'Photo not found.' });
+    }
+
+    const { caption, isCover } = req.body;
+    await sequelize.transaction(async (transaction) => {
+        if (isCover === true) {
+            await Photo.update({ isCover: false }, { where: { PropertyId: req.property.id }, transaction });
+        }
+        await photo.update({
+            caption: caption !== undefined ? caption : photo.caption,
+            isCover: isCover === true ? true : photo.isCover
+        }, { transaction });
+    });
+    res.send(photo);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/photos/{photoId}:
+ *   delete:
+ *     summary: Delete a photo of a property
+ *     tags: [Photos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Photo deleted successfully. Deleting the cover makes the next photo the cover.
+ *       404:
+ *         description: Property or photo not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.delete('/:id/photos/:photoId', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const photo = await Photo.findOne({ where: { id: req.params.photoId, PropertyId: req.property.id } });
+    if (!photo) {
+        return res.status(404).send({ error: 'Photo not found.' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await photo.destroy({ transaction });
+        if (photo.isCover) {
+            const next = await Photo.findOne({
+                where: { PropertyId: req.property.id },
+                order: [['position', 'asc'], ['id', 'asc']],
+                transaction
+            });
+            if (next) {
+                await next.update({ isCover: true }, { transaction });
+            }
+        }
+    });
+
+    try {
+        await getStorage().remove(photo.storageKey);
+    } catch (error) {
+        console.error('Failed to remove photo file:', error);
+    }
+    res.send({ message: 'Photo deleted successfully.' });
+});
+
+module.exports = router;
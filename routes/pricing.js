@@ -0,0 +1,336 @@
+const express = require('express');
+const { Property, SeasonalRate, StayDiscount } = require('../sequelize');
+const { validateQuoteQuery, validateSeasonalRate, validateStayDiscount } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizePropertyOwner } = require('../middleware/authorize');
+const { findConflict } = require('../utils/availability');
+const { quoteStay } = require('../utils/pricing');
+const { partyFrom, houseRuleViolations } = require('../utils/guests');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /properties/{id}/quote:
+ *   get:
+ *     summary: Get an itemized price quote for a stay
+ *     tags: [Pricing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: checkIn
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: checkOut
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: adults
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: children
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: infants
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: pets
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: guests
+ *         schema:
+ *           type: integer
+ *         description: Number of adults, for clients that do not send adults and children; cannot be combined with them
+ *     responses:
+ *       200:
+ *         description: Guest counts, nightly rates, discount, fees and total, plus whether the dates are available
+ *       400:
+ *         description: Invalid dates, or guests beyond the property's capacity or house rules
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/quote', validateQuoteQuery, async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property || !property.listed) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+
+    const { checkIn, checkOut } = req.query;
+    const party = partyFrom(req.query);
+
+    const violations = houseRuleViolations(property, party);
+    const errors = Object.entries(violations).map(([path, msg]) => ({ type: 'field', msg, path, location: 'query' }));
+    if (errors.length > 0) {
+        return res.status(400).json({ errors });
+    }
+
+    try {
+        const quote = await quoteStay(property, checkIn, checkOut, party);
+        const conflict = await findConflict(property.id, new Date(checkIn), new Date(checkOut));
+        res.send({ propertyId: property.id, checkIn, checkOut, available: !conflict, ...quote });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to calculate quote.' });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/seasonal-rates:
+ *   get:
+ *     summary: Get the seasonal rates of a property
+ *     tags: [Pricing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of seasonal rates
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/seasonal-rates', async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property || !property.listed) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+    const seasonalRates = await SeasonalRate.findAll({
+        where: { PropertyId: property.id },
+        order: [['startTime', 'asc']]
+    });
+    res.send(seasonalRates);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/seasonal-rates:
+ *   post:
+ *     summary: Override the nightly price for a date range
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               nightlyPrice:
+ *                 type: number
+ *               weekendPrice:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Seasonal rate created successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/seasonal-rates', authenticateJWT, authorizePropertyOwner, validateSeasonalRate, async (req, res) => {
+    const { name, startTime, endTime, nightlyPrice, weekendPrice } = req.body;
+    const seasonalRate = await SeasonalRate.create({
+        PropertyId: req.property.id,
+        name,
+        startTime,
+        endTime,
+        nightlyPrice,
+        weekendPrice
+    });
+    res.status(201).send(seasonalRate);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/seasonal-rates/{seasonalRateId}:
+ *   delete:
+ *     summary: Remove a seasonal rate from a property
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: seasonalRateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Seasonal rate deleted successfully
+ *       404:
+ *         description: Property or seasonal rate not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.delete('/:id/seasonal-rates/:seasonalRateId', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const seasonalRate = await SeasonalRate.findOne({
+        where: { id: req.params.seasonalRateId, PropertyId: req.property.id }
+    });
+    if (!seasonalRate) {
+        return res.status(404).send({ error: 'Seasonal rate not found.' });
+    }
+    await seasonalRate.destroy();
+    res.send({ message: 'Seasonal rate deleted successfully.' });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/discounts:
+ *   get:
+ *     summary: Get the length-of-stay discounts of a property
+ *     tags: [Pricing]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of length-of-stay discounts
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/discounts', async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property || !property.listed) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+    const discounts = await StayDiscount.findAll({
+        where: { PropertyId: property.id },
+        order: [['minNights', 'asc']]
+    });
+    res.send(discounts);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/discounts:
+ *   post:
+ *     summary: Add a percentage discount for stays of at least minNights nights
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minNights:
+ *                 type: integer
+ *               percent:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Discount created successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/discounts', authenticateJWT, authorizePropertyOwner, validateStayDiscount, async (req, res) => {
+    const { minNights, percent } = req.body;
+    const discount = await StayDiscount.create({
+        PropertyId: req.property.id,
+        minNights,
+        percent
+    });
+    res.status(201).send(discount);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/discounts/{discountId}:
+ *   delete:
+ *     summary: Remove a length-of-stay discount from a property
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: discountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Discount deleted successfully
+ *       404:
+ *         description: Property or discount not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.delete('/:id/discounts/:discountId', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const discount = await StayDiscount.findOne({
+        where: { id: req.params.discountId, PropertyId: req.property.id }
+    });
+    if (!discount) {
+        return res.status(404).send({ error: 'Discount not found.' });
+    }
+    await discount.destroy();
+    res.send({ message: 'Discount deleted successfully.' });
+});
+
+module.exports = router;
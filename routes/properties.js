@@ -1,10 +1,32 @@
 const express = require('express');
-const { Property, Op } = require('../sequelize');
-const { validateProperty } = require('../middleware/middleware');
+const {
+    sequelize, Property, Reservation, Review, Photo, BlockedPeriod, Amenity, PropertyAmenity, Op
+} = require('../sequelize');
+const {
+    validateProperty,
+    validatePropertyAmenities,
+    validatePropertySearch,
+    validateAvailabilityQuery,
+    validateBlockedPeriod
+} = require('../middleware/middleware');
 const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizePropertyOwner } = require('../middleware/authorize');
+const requireRole = require('../middleware/requireRole');
+const { overlapping } = require('../utils/overlap');
+const { buildCalendar } = require('../utils/availability');
+const { INACTIVE_STATUSES } = require('../utils/reservationStatus');
+const { summarize } = require('../utils/reviews');
+const { parseAmenityKeys, resolveAmenities } = require('../utils/amenities');
+const { countFacets } = require('../utils/facets');
+const { distanceFrom, withinRadius, parseBoundingBox, withinBoundingBox, locate } = require('../utils/geo');
+const { publishPropertyEvent } = require('../utils/webhooks');
+const { getStorage } = require('../storage');
 
 const router = express.Router();
 
+// Amenities are sent as catalog entries, without the join table row
+const amenityInclude = { model: Amenity, as: 'amenities', attributes: ['id', 'key', 'name'], through: { attributes: [] } };
+
 
 /**
  * @swagger
@@ -31,36 +53,217 @@ const router = express.Router();
  *                 type: number
  *               capacity:
  *                 type: integer
+ *               propertyType:
+ *                 type: string
+ *                 enum: [apartment, house, villa, cabin, cottage, studio, other]
+ *                 default: other
+ *               bedrooms:
+ *                 type: integer
+ *               beds:
+ *                 type: integer
+ *               bathrooms:
+ *                 type: number
+ *               amenities:
+ *                 type: array
+ *                 description: Keys of amenities from the catalog, e.g. ["wifi", "pool"]. On update, replaces the current amenities when given.
+ *                 items:
+ *                   type: string
+ *               latitude:
+ *                 type: number
+ *                 description: Given together with longitude. When omitted, the address is geocoded if a geocoder is configured.
+ *               longitude:
+ *                 type: number
+ *               weekendPrice:
+ *                 type: number
+ *                 description: Nightly price for Friday and Saturday nights (defaults to price)
+ *               cleaningFee:
+ *                 type: number
+ *                 default: 0
+ *               extraGuestFee:
+ *                 type: number
+ *                 default: 0
+ *                 description: Fee per night for each guest above includedGuests
+ *               includedGuests:
+ *                 type: integer
+ *                 description: Guests covered by the nightly price (defaults to capacity)
+ *               petsAllowed:
+ *                 type: boolean
+ *                 default: false
+ *               maxInfants:
+ *                 type: integer
+ *                 description: Most infants allowed per booking (no limit when omitted)
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [flexible, moderate, strict, custom]
+ *                 default: flexible
+ *                 description: "flexible: full refund up to 1 day before arrival; moderate: full refund up to 5 days, 50% up to 1 day; strict: full refund up to 14 days, 50% up to 7 days"
+ *               cancellationTiers:
+ *                 type: array
+ *                 description: Refund tiers of a custom policy
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     daysBefore:
+ *                       type: integer
+ *                     refundPercent:
+ *                       type: number
  *     responses:
  *       201:
- *         description: Property created successfully
+ *         description: Property created successfully. The authenticated user becomes its owner.
+ *       400:
+ *         description: Bad request, or amenities that are not in the catalog
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only hosts can create properties.
  */
-router.post('/', authenticateJWT, validateProperty, async (req, res) => {
-    const property = await Property.create(req.body);
-    res.status(201).send(property);
+router.post('/', authenticateJWT, requireRole('host'), validateProperty, async (req, res) => {
+    try {
+        const {
+            name, address, city, price, capacity, propertyType, bedrooms, beds, bathrooms, weekendPrice, cleaningFee,
+            extraGuestFee, includedGuests, petsAllowed, maxInfants, cancellationPolicy
+        } = req.body;
+        const cancellationTiers = cancellationPolicy === 'custom' ? req.body.cancellationTiers : null;
+
+        const { amenities, unknown } = await resolveAmenities(req.body.amenities || []);
+        if (unknown.length > 0) {
+            return res.status(400).send({ error: `Unknown amenities: ${unknown.join(', ')}.` });
+        }
+        const { latitude, longitude } = await locate(req.body);
+
+        const property = await sequelize.transaction(async (transaction) => {
+            const created = await Property.create({
+                name,
+                address,
+                city,
+                price,
+                capacity,
+                propertyType,
+                bedrooms,
+                beds,
+                bathrooms,
+                latitude,
+                longitude,
+                weekendPrice,
+                cleaningFee,
+                extraGuestFee,
+                includedGuests,
+                petsAllowed,
+                maxInfants,
+                cancellationPolicy,
+                cancellationTiers,
+                ownerId: req.user.userId
+            }, { transaction });
+            await created.setAmenities(amenities, { transaction });
+            return created;
+        });
+        await property.reload({ include: amenityInclude });
+        res.status(201).send(property);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to create property.' });
+    }
 });
 
 /**
  * @swagger
  * /properties:
  *   get:
- *     summary: Get all properties with optional filters, sorting, and paging
+ *     summary: Get all listed properties with optional filters, sorting, and paging
  *     tags: [Properties]
  *     parameters:
  *       - in: query
  *         name: capacity
  *         schema:
  *           type: integer
- *         description: Capacity of the properties
+ *         description: Exact capacity of the properties
+ *       - in: query
+ *         name: minCapacity
+ *         schema:
+ *           type: integer
+ *         description: Minimum capacity, e.g. the size of the party
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: City of the properties
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price
+ *       - in: query
+ *         name: propertyType
+ *         schema:
+ *           type: string
+ *         description: Comma-separated property types, e.g. house,villa
+ *       - in: query
+ *         name: minBedrooms
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minBeds
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minBathrooms
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *         description: Comma-separated amenity keys the properties must all have, e.g. wifi,pool
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude of the search center; each property then has its distance in kilometres (requires lng)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude of the search center (requires lat)
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *         description: Only return properties at most this many kilometres from lat/lng
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: Only return properties inside the box west,south,east,north in degrees, e.g. 2.25,48.81,2.42,48.90
+ *       - in: query
+ *         name: checkIn
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return properties neither booked nor blocked from this date (requires checkOut)
+ *       - in: query
+ *         name: checkOut
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return properties free until this date (requires checkIn)
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [price, rating, distance]
+ *           default: price
+ *         description: Sort by price, by average rating or by distance from lat/lng
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: asc
- *         description: Sort order by price
+ *         description: Sort order
  *       - in: query
  *         name: offset
  *         schema:
@@ -69,21 +272,117 @@ router.post('/', authenticateJWT, validateProperty, async (req, res) => {
  *         description: Number of the page
  *     responses:
  *       200:
- *         description: List of all properties
+ *         description: A page of matching properties, each with its cover photo, amenities and, when lat/lng are given, distance in kilometres, together with the total number of matches and facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 facets:
+ *                   type: object
+ *                   description: Number of matching properties of each type and with each amenity of the catalog
+ *                   properties:
+ *                     propertyTypes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     amenities:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                 properties:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid filters
  */
-router.get('/', async (req, res) => {
-    const { capacity, sort, offset } = req.query;
-    const filter = {};
+router.get('/', validatePropertySearch, async (req, res) => {
+    const {
+        capacity, minCapacity, city, minPrice, maxPrice, propertyType, minBedrooms, minBeds, minBathrooms, amenities,
+        lat, lng, radius, bbox, checkIn, checkOut, sortBy, sort, offset
+    } = req.query;
+    const filter = { listed: true };
     const order = [];
+    const attributes = {};
 
     if (capacity) {
         filter.capacity = { [Op.eq]: parseInt(capacity, 10) };
+    } else if (minCapacity) {
+        filter.capacity = { [Op.gte]: parseInt(minCapacity, 10) };
+    }
+
+    if (city) {
+        filter.city = { [Op.eq]: city };
+    }
+
+    if (minPrice || maxPrice) {
+        filter.price = {};
+        if (minPrice) {
+            filter.price[Op.gte] = parseFloat(minPrice);
+        }
+        if (maxPrice) {
+            filter.price[Op.lte] = parseFloat(maxPrice);
+        }
+    }
+
+    if (propertyType) {
+        filter.propertyType = { [Op.in]: propertyType.split(',').map((type) => type.trim()) };
+    }
+
+    if (minBedrooms) {
+        filter.bedrooms = { [Op.gte]: parseInt(minBedrooms, 10) };
     }
 
-    if (sort && (sort === 'asc' || sort === 'desc')) {
-        order.push(['price', sort]);
+    if (minBeds) {
+        filter.beds = { [Op.gte]: parseInt(minBeds, 10) };
+    }
+
+    if (minBathrooms) {
+        filter.bathrooms = { [Op.gte]: parseFloat(minBathrooms) };
+    }
+
+    const distance = lat && lng ? distanceFrom(lat, lng) : null;
+    if (distance) {
+        attributes.include = [[sequelize.fn('ROUND', distance, 3), 'distance']];
+        if (radius) {
+            filter[Op.and] = [withinRadius(lat, lng, parseFloat(radius))];
+        }
+    }
+
+    if (bbox) {
+        Object.assign(filter, withinBoundingBox(parseBoundingBox(bbox)));
+    }
+
+    const direction = sort === 'desc' ? 'desc' : 'asc'; // Default sorting is ascending
+    if (sortBy === 'distance') {
+        // Properties without coordinates come last either way
+        order.push([sequelize.literal('latitude IS NULL'), 'asc']);
+        order.push([distance, direction]);
+    } else if (sortBy === 'rating') {
+        // Unrated properties come last either way
+        order.push([sequelize.literal('averageRating IS NULL'), 'asc']);
+        order.push(['averageRating', direction], ['reviewCount', 'desc']);
     } else {
-        order.push(['price', 'asc']); // Default sorting
+        order.push(['price', direction]);
     }
 
     const pagination = {
@@ -92,13 +391,62 @@ router.get('/', async (req, res) => {
     };
 
     try {
-        const properties = await Property.findAll({
+        // Exclude properties that are booked or blocked for part of the requested stay
+        if (checkIn && checkOut) {
+            const from = new Date(checkIn);
+            const to = new Date(checkOut);
+            const booked = await Reservation.findAll({
+                attributes: ['PropertyId'],
+                where: {
+                    status: { [Op.notIn]: INACTIVE_STATUSES },
+                    ...overlapping(from, to)
+                },
+                group: ['PropertyId']
+            });
+            const blocked = await BlockedPeriod.findAll({
+                attributes: ['PropertyId'],
+                where: overlapping(from, to, { start: 'startTime', end: 'endTime' }),
+                group: ['PropertyId']
+            });
+            const unavailable = [...booked, ...blocked].map((row) => row.PropertyId);
+            if (unavailable.length > 0) {
+                filter.id = { ...filter.id, [Op.notIn]: unavailable };
+            }
+        }
+
+        // Keep only properties that have every requested amenity
+        const amenityKeys = parseAmenityKeys(amenities);
+        if (amenityKeys.length > 0) {
+            const { amenities: wanted, unknown } = await resolveAmenities(amenityKeys);
+            const equipped = unknown.length > 0 ? [] : await PropertyAmenity.findAll({
+                attributes: ['PropertyId'],
+                where: { AmenityId: wanted.map((amenity) => amenity.id) },
+                group: ['PropertyId'],
+                having: sequelize.where(sequelize.fn('COUNT', sequelize.col('AmenityId')), wanted.length)
+            });
+            filter.id = { ...filter.id, [Op.in]: equipped.map((row) => row.PropertyId) };
+        }
+
+        const { count, rows } = await Property.findAndCountAll({
             where: filter,
+            attributes,
+            include: [
+                { model: Photo, as: 'photos', where: { isCover: true }, required: false },
+                amenityInclude
+            ],
+            distinct: true,
             order: order,
             limit: pagination.limit,
             offset: pagination.offset * pagination.limit
         });
-        res.send(properties);
+        const facets = await countFacets(filter);
+        res.send({
+            total: count,
+            pages: Math.ceil(count / pagination.limit),
+            offset: pagination.offset,
+            facets,
+            properties: rows
+        });
     } catch (error) {
         res.status(500).send({ error: 'Failed to retrieve properties.' });
     }
@@ -118,13 +466,16 @@ router.get('/', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Property details
+ *         description: Property details, including averageRating, reviewCount, its amenities and its photos in display order
  *       404:
  *         description: Property not found
  */
 router.get('/:id', async (req, res) => {
-    const property = await Property.findByPk(req.params.id);
-    if (!property) {
+    const property = await Property.findByPk(req.params.id, {
+        include: [{ model: Photo, as: 'photos' }, amenityInclude],
+        order: [[{ model: Photo, as: 'photos' }, 'position', 'asc']]
+    });
+    if (!property || !property.listed) {
         return res.status(404).send({ error: 'Property not found.' });
     }
     res.send(property);
@@ -161,21 +512,185 @@ router.get('/:id', async (req, res) => {
  *                 type: number
  *               capacity:
  *                 type: integer
+ *               propertyType:
+ *                 type: string
+ *                 enum: [apartment, house, villa, cabin, cottage, studio, other]
+ *                 default: other
+ *               bedrooms:
+ *                 type: integer
+ *               beds:
+ *                 type: integer
+ *               bathrooms:
+ *                 type: number
+ *               amenities:
+ *                 type: array
+ *                 description: Keys of amenities from the catalog, e.g. ["wifi", "pool"]. On update, replaces the current amenities when given.
+ *                 items:
+ *                   type: string
+ *               latitude:
+ *                 type: number
+ *                 description: Given together with longitude. When omitted, the address is geocoded if a geocoder is configured.
+ *               longitude:
+ *                 type: number
+ *               weekendPrice:
+ *                 type: number
+ *                 description: Nightly price for Friday and Saturday nights (defaults to price)
+ *               cleaningFee:
+ *                 type: number
+ *                 default: 0
+ *               extraGuestFee:
+ *                 type: number
+ *                 default: 0
+ *                 description: Fee per night for each guest above includedGuests
+ *               includedGuests:
+ *                 type: integer
+ *                 description: Guests covered by the nightly price (defaults to capacity)
+ *               petsAllowed:
+ *                 type: boolean
+ *                 default: false
+ *               maxInfants:
+ *                 type: integer
+ *                 description: Most infants allowed per booking (no limit when omitted)
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [flexible, moderate, strict, custom]
+ *                 default: flexible
+ *                 description: "flexible: full refund up to 1 day before arrival; moderate: full refund up to 5 days, 50% up to 1 day; strict: full refund up to 14 days, 50% up to 7 days"
+ *               cancellationTiers:
+ *                 type: array
+ *                 description: Refund tiers of a custom policy
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     daysBefore:
+ *                       type: integer
+ *                     refundPercent:
+ *                       type: number
  *     responses:
  *       200:
  *         description: Property updated successfully
+ *       400:
+ *         description: Bad request, amenities that are not in the catalog, or a custom cancellation policy without tiers
  *       404:
  *         description: Property not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
  */
-router.put('/:id', authenticateJWT, validateProperty, async (req, res) => {
-    const property = await Property.findByPk(req.params.id);
-    if (!property) {
-        return res.status(404).send({ error: 'Property not found.' });
+router.put('/:id', authenticateJWT, authorizePropertyOwner, validateProperty, async (req, res) => {
+    try {
+        const {
+            name, address, city, price, capacity, propertyType, bedrooms, beds, bathrooms, weekendPrice, cleaningFee,
+            extraGuestFee, includedGuests, petsAllowed, maxInfants, cancellationPolicy
+        } = req.body;
+        // The policy and its tiers only change together, when the policy is given
+        const policy = cancellationPolicy === undefined ? {} : {
+            cancellationPolicy,
+            cancellationTiers: cancellationPolicy === 'custom' ? req.body.cancellationTiers : null
+        };
+        const updated = {
+            cancellationPolicy: req.property.cancellationPolicy,
+            cancellationTiers: req.property.cancellationTiers,
+            ...policy
+        };
+        if (updated.cancellationPolicy === 'custom'
+            && !(Array.isArray(updated.cancellationTiers) && updated.cancellationTiers.length > 0)) {
+            return res.status(400).send({ error: 'A custom cancellation policy needs at least one tier.' });
+        }
+
+        const { amenities, unknown } = await resolveAmenities(req.body.amenities || []);
+        if (unknown.length > 0) {
+            return res.status(400).send({ error: `Unknown amenities: ${unknown.join(', ')}.` });
+        }
+        // Coordinates follow the address unless they are given
+        const moved = req.body.latitude !== undefined || address !== req.property.address || city !== req.property.city;
+        const { latitude, longitude } = moved ? await locate(req.body) : req.property;
+
+        await sequelize.transaction(async (transaction) => {
+            await req.property.update({
+                name,
+                address,
+                city,
+                price,
+                capacity,
+                propertyType,
+                bedrooms,
+                beds,
+                bathrooms,
+                latitude,
+                longitude,
+                weekendPrice,
+                cleaningFee,
+                extraGuestFee,
+                includedGuests,
+                petsAllowed,
+                maxInfants,
+                ...policy
+            }, { transaction });
+            if (req.body.amenities !== undefined) {
+                await req.property.setAmenities(amenities, { transaction });
+            }
+        });
+        await req.property.reload({ include: amenityInclude });
+        publishPropertyEvent('property.updated', req.property);
+        res.send(req.property);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to update property.' });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/amenities:
+ *   put:
+ *     summary: Replace the amenities of a property
+ *     tags: [Amenities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amenities:
+ *                 type: array
+ *                 description: Keys of amenities from the catalog, e.g. ["wifi", "pool"]
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The property's amenities
+ *       400:
+ *         description: Bad request, or amenities that are not in the catalog
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.put('/:id/amenities', authenticateJWT, authorizePropertyOwner, validatePropertyAmenities, async (req, res) => {
+    try {
+        const { amenities, unknown } = await resolveAmenities(req.body.amenities);
+        if (unknown.length > 0) {
+            return res.status(400).send({ error: `Unknown amenities: ${unknown.join(', ')}.` });
+        }
+        await req.property.setAmenities(amenities);
+        publishPropertyEvent('property.updated', req.property);
+        const current = await req.property.getAmenities({ attributes: amenityInclude.attributes, joinTableAttributes: [] });
+        res.send(current);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to update amenities.' });
     }
-    await property.update(req.body);
-    res.send(property);
 });
 
 /**
@@ -199,14 +714,254 @@ router.put('/:id', authenticateJWT, validateProperty, async (req, res) => {
  *         description: Property not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.delete('/:id', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const photos = await Photo.findAll({ where: { PropertyId: req.property.id } });
+    await req.property.destroy();
+    await Promise.all(photos.map((photo) => getStorage().remove(photo.storageKey).catch((error) => {
+        console.error('Failed to remove photo file:', error);
+    })));
+    res.send({ message: 'Property deleted successfully.' });
+});
+
+/**
+ * @swagger
+ * /properties/{id}/reviews:
+ *   get:
+ *     summary: Get the reviews of a property with its rating summary
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of the page
+ *     responses:
+ *       200:
+ *         description: Average overall and category ratings, review count and a page of the newest reviews
+ *       404:
+ *         description: Property not found
  */
-router.delete('/:id', authenticateJWT, async (req, res) => {
+router.get('/:id/reviews', async (req, res) => {
     const property = await Property.findByPk(req.params.id);
-    if (!property) {
+    if (!property || !property.listed) {
         return res.status(404).send({ error: 'Property not found.' });
     }
-    await property.destroy();
-    res.send({ message: 'Property deleted successfully.' });
+
+    const pagination = {
+        limit: 10,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) || 0 : 0 // Default page is 0
+    };
+
+    try {
+        const summary = await summarize(property.id);
+        const reviews = await Review.findAll({
+            where: { PropertyId: property.id },
+            order: [['createdAt', 'desc']],
+            limit: pagination.limit,
+            offset: pagination.offset * pagination.limit
+        });
+        res.send({ propertyId: property.id, ...summary, offset: pagination.offset, reviews });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve reviews.' });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/availability:
+ *   get:
+ *     summary: Get a day-by-day availability calendar for a property
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First night of the calendar
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day after the last night of the calendar (at most 366 days after from)
+ *     responses:
+ *       200:
+ *         description: One entry per night with status booked, blocked or free
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 propertyId:
+ *                   type: integer
+ *                 nights:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       status:
+ *                         type: string
+ *                         enum: [booked, blocked, free]
+ *       400:
+ *         description: Invalid date range
+ *       404:
+ *         description: Property not found
+ */
+router.get('/:id/availability', validateAvailabilityQuery, async (req, res) => {
+    const property = await Property.findByPk(req.params.id);
+    if (!property || !property.listed) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+
+    try {
+        const nights = await buildCalendar(property.id, req.query.from, req.query.to);
+        res.send({ propertyId: property.id, nights });
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve availability.' });
+    }
+});
+
+/**
+ * @swagger
+ * /properties/{id}/blocked-periods:
+ *   get:
+ *     summary: Get the blocked periods of a property
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of blocked periods
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.get('/:id/blocked-periods', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const blockedPeriods = await BlockedPeriod.findAll({
+        where: { PropertyId: req.property.id },
+        order: [['startTime', 'asc']]
+    });
+    res.send(blockedPeriods);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/blocked-periods:
+ *   post:
+ *     summary: Block a date range (maintenance, personal use) so it cannot be booked
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 enum: [maintenance, personal, other]
+ *     responses:
+ *       201:
+ *         description: Blocked period created successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.post('/:id/blocked-periods', authenticateJWT, authorizePropertyOwner, validateBlockedPeriod, async (req, res) => {
+    const { startTime, endTime, reason } = req.body;
+    const blockedPeriod = await BlockedPeriod.create({
+        PropertyId: req.property.id,
+        startTime,
+        endTime,
+        reason
+    });
+    res.status(201).send(blockedPeriod);
+});
+
+/**
+ * @swagger
+ * /properties/{id}/blocked-periods/{blockedPeriodId}:
+ *   delete:
+ *     summary: Remove a blocked period from a property
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: blockedPeriodId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Blocked period deleted successfully
+ *       404:
+ *         description: Property or blocked period not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ */
+router.delete('/:id/blocked-periods/:blockedPeriodId', authenticateJWT, authorizePropertyOwner, async (req, res) => {
+    const blockedPeriod = await BlockedPeriod.findOne({
+        where: { id: req.params.blockedPeriodId, PropertyId: req.property.id }
+    });
+    if (!blockedPeriod) {
+        return res.status(404).send({ error: 'Blocked period not found.' });
+    }
+    await blockedPeriod.destroy();
+    res.send({ message: 'Blocked period deleted successfully.' });
 });
 
 module.exports = router;
@@ -1,10 +1,25 @@
 const express = require('express');
-const { Reservation, Property, Op } = require('../sequelize');
+const { Reservation, ReservationStatusChange, Property, Payment } = require('../sequelize');
 const { validateReservation } = require('../middleware/middleware');
 const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizeReservationParty } = require('../middleware/authorize');
+const { findConflict, startBookingTransaction, lockProperty } = require('../utils/availability');
+const { quoteStay } = require('../utils/pricing');
+const { performTransition, recordCreation } = require('../utils/reservationStatus');
+const { tiersFor, calculateRefund } = require('../utils/cancellation');
+const { partyFrom } = require('../utils/guests');
+const { publishReservationEvent } = require('../utils/webhooks');
+const {
+    createPayment, authorizePayment, capturePayment, refundPayment, repricePayment
+} = require('../utils/payments');
 
 const router = express.Router();
 
+const CONFLICT_ERRORS = {
+    booked: 'The property is already booked for the requested dates.',
+    blocked: 'The property is not available for the requested dates.'
+};
+
 /**
  * @swagger
  * /reservations:
@@ -24,44 +39,96 @@ const router = express.Router();
  *                 type: string
  *               departureTime:
  *                 type: string
+ *               adults:
+ *                 type: integer
+ *                 default: 1
+ *               children:
+ *                 type: integer
+ *                 default: 0
+ *               infants:
+ *                 type: integer
+ *                 default: 0
+ *               pets:
+ *                 type: integer
+ *                 default: 0
+ *               guests:
+ *                 type: integer
+ *                 description: Number of adults, for clients that do not send adults and children; cannot be combined with them
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment method from the payment provider's client library, e.g. pm_card_visa
  *     responses:
  *       201:
- *         description: Reservation created successfully
+ *         description: Reservation request created with status pending, with its itemized totalPrice and priceBreakdown, and its payment. The price is held on the payment method until the host confirms; a payment with status pending needs the guest to finish authentication with payment.clientSecret.
  *       400:
- *         description: Bad request
+ *         description: Bad request, e.g. more guests than the property accommodates or pets where they are not allowed
+ *       409:
+ *         description: The property is already booked or blocked for the requested dates
+ *       402:
+ *         description: The payment was declined; the reservation is cancelled
  *       401:
  *         description: Access denied. No token provided.
+ *       404:
+ *         description: Property not found
  */
 router.post('/', authenticateJWT, validateReservation, async (req, res) => {
     const { propertyId, arrivalTime, departureTime } = req.body;
+    const party = partyFrom(req.body);
 
     // Check if departureTime is after arrivalTime
     if (new Date(departureTime) <= new Date(arrivalTime)) {
         return res.status(400).send({ error: 'departureTime must be after arrivalTime.' });
     }
 
-    // Check if the property is already booked for the requested dates
-    const existingReservations = await Reservation.findAll({
-        where: {
-            propertyId,
-            arrivalTime: { [Op.lt]: departureTime },
-            departureTime: { [Op.gt]: arrivalTime }
+    let transaction;
+    try {
+        transaction = await startBookingTransaction();
+        const property = await lockProperty(propertyId, transaction);
+        if (!property || !property.listed) {
+            await transaction.rollback();
+            return res.status(404).send({ error: 'Property not found.' });
         }
-    });
 
-    if (existingReservations.length > 0) {
-        return res.status(400).send({ error: 'The property is already booked for the requested dates.' });
-    }
+        // Check if the property is already booked or blocked for the requested dates
+        const conflict = await findConflict(propertyId, arrivalTime, departureTime, { transaction });
+        if (conflict) {
+            await transaction.rollback();
+            return res.status(409).send({ error: CONFLICT_ERRORS[conflict] });
+        }
 
-    // Ensure PropertyId is assigned correctly
-    const reservation = await Reservation.create({
-        PropertyId: propertyId,
-        arrivalTime,
-        departureTime,
-        UserId: req.user.userId
-    });
+        // Price the stay and keep the cancellation policy now so later edits don't change the booking
+        const quote = await quoteStay(property, arrivalTime, departureTime, party, { transaction });
+
+        // New reservations start as pending requests until the host confirms them
+        // Ensure PropertyId is assigned correctly
+        const reservation = await Reservation.create({
+            PropertyId: propertyId,
+            arrivalTime,
+            departureTime,
+            ...party,
+            UserId: req.user.userId,
+            totalPrice: quote.total,
+            priceBreakdown: quote,
+            cancellationTiers: tiersFor(property)
+        }, { transaction });
+        await recordCreation(reservation, req.user, { transaction });
+        const pendingPayment = await createPayment(reservation, { transaction });
+
+        await transaction.commit();
+        publishReservationEvent('reservation.created', reservation);
 
-    res.status(201).send(reservation);
+        // The provider is only called once the dates are secured and the property lock is released
+        const { payment, clientSecret } = await authorizePayment(pendingPayment, reservation, req.body.paymentMethod);
+        if (payment.status === 'failed') {
+            return res.status(402).send({ error: `Payment failed: ${payment.failureReason}`, reservation, payment });
+        }
+        res.status(201).send({ ...reservation.toJSON(), payment: { ...payment.toJSON(), clientSecret } });
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        res.status(500).send({ error: 'Failed to create reservation.' });
+    }
 });
 
 /**
@@ -70,6 +137,20 @@ router.post('/', authenticateJWT, validateReservation, async (req, res) => {
  *   get:
  *     summary: Get all reservations
  *     tags: [Reservations]
+ *     parameters:
+ *       - in: query
+ *         name: as
+ *         schema:
+ *           type: string
+ *           enum: [guest, host]
+ *           default: guest
+ *         description: Reservations made by the user (guest) or made on the user's properties (host)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, declined, checked_in, completed, cancelled]
+ *         description: Only return reservations with this status
  *     responses:
  *       200:
  *         description: List of all reservations
@@ -77,8 +158,26 @@ router.post('/', authenticateJWT, validateReservation, async (req, res) => {
  *         description: Access denied. No token provided.
  */
 router.get('/', authenticateJWT, async (req, res) => {
-    const reservations = await Reservation.findAll({ where: { UserId: req.user.userId } });
-    res.send(reservations);
+    const { as, status } = req.query;
+    const filter = {};
+    const include = [];
+
+    if (as === 'host') {
+        include.push({ model: Property, where: { ownerId: req.user.userId }, attributes: [] });
+    } else {
+        filter.UserId = req.user.userId;
+    }
+
+    if (status) {
+        filter.status = status;
+    }
+
+    try {
+        const reservations = await Reservation.findAll({ where: filter, include, order: [['arrivalTime', 'asc']] });
+        res.send(reservations);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve reservations.' });
+    }
 });
 
 /**
@@ -100,13 +199,11 @@ router.get('/', authenticateJWT, async (req, res) => {
  *         description: Reservation not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
  */
-router.get('/:id', authenticateJWT, async (req, res) => {
-    const reservation = await Reservation.findByPk(req.params.id);
-    if (!reservation) {
-        return res.status(404).send({ error: 'Reservation not found.' });
-    }
-    res.send(reservation);
+router.get('/:id', authenticateJWT, authorizeReservationParty, async (req, res) => {
+    res.send(req.reservation);
 });
 
 /**
@@ -132,20 +229,35 @@ router.get('/:id', authenticateJWT, async (req, res) => {
  *                 type: string
  *               departureTime:
  *                 type: string
+ *               adults:
+ *                 type: integer
+ *               children:
+ *                 type: integer
+ *               infants:
+ *                 type: integer
+ *               pets:
+ *                 type: integer
+ *               guests:
+ *                 type: integer
+ *                 description: Number of adults, for clients that do not send adults and children; cannot be combined with them
  *     responses:
  *       200:
- *         description: Reservation updated successfully
+ *         description: Reservation updated successfully and priced again for the new dates and guests. A lower price already paid is refunded.
+ *       400:
+ *         description: Bad request, e.g. more guests than the property accommodates
+ *       409:
+ *         description: The property is already booked or blocked for the new dates, or the reservation can no longer be changed (only pending or confirmed reservations can, and not to a higher price than was paid)
+ *       502:
+ *         description: The price difference could not be refunded
  *       404:
  *         description: Reservation not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
  */
-router.put('/:id', authenticateJWT, validateReservation, async (req, res) => {
-    const reservation = await Reservation.findByPk(req.params.id);
-    if (!reservation) {
-        return res.status(404).send({ error: 'Reservation not found.' });
-    }
-
+router.put('/:id', authenticateJWT, authorizeReservationParty, validateReservation, async (req, res) => {
+    const { reservation } = req;
     const { arrivalTime, departureTime } = req.body;
 
     // Check if departureTime is after arrivalTime
@@ -153,33 +265,297 @@ router.put('/:id', authenticateJWT, validateReservation, async (req, res) => {
         return res.status(400).send({ error: 'departureTime must be after arrivalTime.' });
     }
 
-    // Check if the property is already booked for the requested dates
-    const existingReservations = await Reservation.findAll({
-        where: {
-            propertyId: reservation.PropertyId, // Use the existing propertyId from the reservation
-            arrivalTime: { [Op.lt]: departureTime },
-            departureTime: { [Op.gt]: arrivalTime },
-            id: { [Op.ne]: reservation.id }
+    let transaction;
+    try {
+        transaction = await startBookingTransaction();
+        const property = await lockProperty(reservation.PropertyId, transaction);
+
+        // Re-read the reservation under the lock in case a concurrent request changed it
+        await reservation.reload({ transaction });
+        if (!['pending', 'confirmed'].includes(reservation.status)) {
+            await transaction.rollback();
+            return res.status(409).send({ error: `A ${reservation.status} reservation cannot be changed.` });
         }
-    });
 
-    if (existingReservations.length > 0) {
-        return res.status(400).send({ error: 'The property is already booked for the requested dates.' });
-    }
+        // Check if the property is already booked or blocked for the requested dates
+        const conflict = await findConflict(reservation.PropertyId, arrivalTime, departureTime, {
+            excludeReservationId: reservation.id,
+            transaction
+        });
+        if (conflict) {
+            await transaction.rollback();
+            return res.status(409).send({ error: CONFLICT_ERRORS[conflict] });
+        }
 
-    await reservation.update({
-        arrivalTime,
-        departureTime
-    });
+        // Different dates or guests make a different stay, so it is priced again at the current rates
+        const party = partyFrom(req.body, reservation);
+        const quote = await quoteStay(property, arrivalTime, departureTime, party, { transaction });
 
-    res.send(reservation);
+        const paymentError = await repricePayment(reservation, quote.total, { transaction });
+        if (paymentError) {
+            await transaction.rollback();
+            return res.status(paymentError.status).send({ error: paymentError.error });
+        }
+
+        await reservation.update({
+            arrivalTime,
+            departureTime,
+            ...party,
+            totalPrice: quote.total,
+            priceBreakdown: quote
+        }, { transaction });
+
+        await transaction.commit();
+        publishReservationEvent('reservation.updated', reservation);
+        res.send(reservation);
+    } catch (error) {
+        if (transaction && !transaction.finished) {
+            await transaction.rollback();
+        }
+        res.status(500).send({ error: 'Failed to update reservation.' });
+    }
 });
 
+// What happens to the payment in the transaction that changes the reservation's status:
+// confirming takes the held money, declining releases it
+const PAYMENT_STEPS = {
+    confirm: (reservation, transaction) => capturePayment(reservation, { transaction }),
+    decline: (reservation, transaction) => refundPayment(reservation, reservation.totalPrice, { transaction })
+};
+
+// Handler moving the reservation authorized by authorizeReservationParty through a status transition
+const transitionTo = (action) => async (req, res) => {
+    try {
+        const { reservation, status, error } = await performTransition(req.reservation.id, action, req.user, {
+            note: req.body && req.body.note,
+            prepare: PAYMENT_STEPS[action]
+        });
+        if (error) {
+            return res.status(status).send({ error });
+        }
+        res.send(reservation);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to update reservation status.' });
+    }
+};
+
+// Guests are refunded according to the cancellation policy the reservation was booked
+// under; when the host cancels, the guest is refunded in full. A payment that was only
+// held, not yet captured, is released in full.
+const refundCancellation = (user, cancelledAt) => async (reservation, transaction) => {
+    const byHost = reservation.Property.ownerId === user.userId && reservation.UserId !== user.userId;
+    const { refundPercent, refundAmount } = byHost
+        ? { refundPercent: 100, refundAmount: reservation.totalPrice }
+        : calculateRefund({
+            tiers: reservation.cancellationTiers || tiersFor(reservation.Property),
+            total: reservation.totalPrice,
+            arrivalTime: reservation.arrivalTime,
+            cancelledAt
+        });
+
+    const paymentError = await refundPayment(reservation, refundAmount, { transaction });
+    return paymentError || { changes: { cancelledAt, refundPercent, refundAmount } };
+};
+
+const cancelReservation = async (req, res) => {
+    try {
+        const { reservation, status, error } = await performTransition(req.reservation.id, 'cancel', req.user, {
+            note: req.body && req.body.note,
+            prepare: refundCancellation(req.user, new Date())
+        });
+        if (error) {
+            return res.status(status).send({ error });
+        }
+        res.send(reservation);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to cancel reservation.' });
+    }
+};
+
+/**
+ * @swagger
+ * /reservations/{id}/confirm:
+ *   post:
+ *     summary: Confirm a pending reservation request
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment captured and reservation confirmed
+ *       402:
+ *         description: The payment is not authorized yet, or could not be captured; the reservation stays pending
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the host can do this.
+ *       409:
+ *         description: The reservation's current status does not allow this transition
+ */
+router.post('/:id/confirm', authenticateJWT, authorizeReservationParty, transitionTo('confirm'));
+
+/**
+ * @swagger
+ * /reservations/{id}/decline:
+ *   post:
+ *     summary: Decline a pending reservation request
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation declined and the held payment released
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the host can do this.
+ *       409:
+ *         description: The reservation's current status does not allow this transition
+ */
+router.post('/:id/decline', authenticateJWT, authorizeReservationParty, transitionTo('decline'));
+
+/**
+ * @swagger
+ * /reservations/{id}/check-in:
+ *   post:
+ *     summary: Mark a confirmed reservation as checked in
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Guest checked in
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the host can do this.
+ *       409:
+ *         description: The reservation's current status does not allow this transition
+ */
+router.post('/:id/check-in', authenticateJWT, authorizeReservationParty, transitionTo('checkIn'));
+
+/**
+ * @swagger
+ * /reservations/{id}/complete:
+ *   post:
+ *     summary: Mark a checked-in reservation as completed
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation completed
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the host can do this.
+ *       409:
+ *         description: The reservation's current status does not allow this transition
+ */
+router.post('/:id/complete', authenticateJWT, authorizeReservationParty, transitionTo('complete'));
+
+/**
+ * @swagger
+ * /reservations/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending or confirmed reservation (guest or host) and record the refund owed
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation cancelled, with refundPercent and refundAmount set from the cancellation policy (full refund when the host cancels)
+ *       502:
+ *         description: The refund could not be issued; the reservation is not cancelled
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
+ *       409:
+ *         description: The reservation's current status does not allow this transition
+ */
+router.post('/:id/cancel', authenticateJWT, authorizeReservationParty, cancelReservation);
+
 /**
  * @swagger
  * /reservations/{id}:
  *   delete:
- *     summary: Delete a reservation by ID
+ *     summary: Cancel a reservation by ID (same as POST /reservations/{id}/cancel, the reservation is kept for history)
  *     tags: [Reservations]
  *     parameters:
  *       - in: path
@@ -189,19 +565,80 @@ router.put('/:id', authenticateJWT, validateReservation, async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Reservation deleted successfully
+ *         description: Reservation cancelled, with refundPercent and refundAmount set from the cancellation policy (full refund when the host cancels)
+ *       502:
+ *         description: The refund could not be issued; the reservation is not cancelled
  *       404:
  *         description: Reservation not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
+ *       409:
+ *         description: The reservation can no longer be cancelled
  */
-router.delete('/:id', authenticateJWT, async (req, res) => {
-    const reservation = await Reservation.findByPk(req.params.id);
-    if (!reservation) {
-        return res.status(404).send({ error: 'Reservation not found.' });
+router.delete('/:id', authenticateJWT, authorizeReservationParty, cancelReservation);
+
+/**
+ * @swagger
+ * /reservations/{id}/payment:
+ *   get:
+ *     summary: Get the payment of a reservation
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment status with the authorized, captured and refunded amounts
+ *       404:
+ *         description: Reservation not found, or it has no payment
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
+ */
+router.get('/:id/payment', authenticateJWT, authorizeReservationParty, async (req, res) => {
+    const payment = await Payment.findOne({ where: { ReservationId: req.reservation.id } });
+    if (!payment) {
+        return res.status(404).send({ error: 'This reservation has no payment.' });
     }
-    await reservation.destroy();
-    res.send({ message: 'Reservation deleted successfully.' });
+    res.send(payment);
+});
+
+/**
+ * @swagger
+ * /reservations/{id}/history:
+ *   get:
+ *     summary: Get the status history of a reservation
+ *     tags: [Reservations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Status changes in chronological order, with who made them and when
+ *       404:
+ *         description: Reservation not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You are not a party to this reservation.
+ */
+router.get('/:id/history', authenticateJWT, authorizeReservationParty, async (req, res) => {
+    const history = await ReservationStatusChange.findAll({
+        where: { ReservationId: req.reservation.id },
+        order: [['createdAt', 'asc'], ['id', 'asc']]
+    });
+    res.send(history);
 });
 
 module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const { sequelize, Reservation, Review, Property } = require('../sequelize');
+const { validateReview, validateReviewReply } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { CATEGORIES, refreshPropertyRating } = require('../utils/reviews');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /reviews:
+ *   post:
+ *     summary: Review a completed stay
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reservationId:
+ *                 type: integer
+ *               overall:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               cleanliness:
+ *                 type: integer
+ *               accuracy:
+ *                 type: integer
+ *               communication:
+ *                 type: integer
+ *               location:
+ *                 type: integer
+ *               checkIn:
+ *                 type: integer
+ *               value:
+ *                 type: integer
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review created successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Only the guest of the stay can review it.
+ *       404:
+ *         description: Reservation not found
+ *       409:
+ *         description: The stay is not completed yet, or has already been reviewed
+ */
+router.post('/', authenticateJWT, validateReview, async (req, res) => {
+    const { reservationId, overall, comment } = req.body;
+
+    const reservation = await Reservation.findByPk(reservationId);
+    if (!reservation) {
+        return res.status(404).send({ error: 'Reservation not found.' });
+    }
+    if (reservation.UserId !== req.user.userId) {
+        return res.status(403).send({ error: 'Access denied. Only the guest of the stay can review it.' });
+    }
+    if (reservation.status !== 'completed' || new Date(reservation.departureTime) > new Date()) {
+        return res.status(409).send({ error: 'Only completed stays can be reviewed.' });
+    }
+    if (await Review.count({ where: { ReservationId: reservation.id } }) > 0) {
+        return res.status(409).send({ error: 'This stay has already been reviewed.' });
+    }
+
+    const ratings = {};
+    CATEGORIES.forEach((category) => {
+        ratings[category] = req.body[category];
+    });
+
+    try {
+        const review = await sequelize.transaction(async (transaction) => {
+            const created = await Review.create({
+                ReservationId: reservation.id,
+                PropertyId: reservation.PropertyId,
+                UserId: req.user.userId,
+                overall,
+                ...ratings,
+                comment
+            }, { transaction });
+            await refreshPropertyRating(reservation.PropertyId, { transaction });
+            return created;
+        });
+        res.status(201).send(review);
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ error: 'This stay has already been reviewed.' });
+        }
+        res.status(500).send({ error: 'Failed to create review.' });
+    }
+});
+
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   get:
+ *     summary: Get a review by ID
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review details
+ *       404:
+ *         description: Review not found
+ */
+router.get('/:id', async (req, res) => {
+    const review = await Review.findByPk(req.params.id);
+    if (!review) {
+        return res.status(404).send({ error: 'Review not found.' });
+    }
+    res.send(review);
+});
+
+/**
+ * @swagger
+ * /reviews/{id}/reply:
+ *   put:
+ *     summary: Reply to a review of one of your properties
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reply:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this property.
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:id/reply', authenticateJWT, validateReviewReply, async (req, res) => {
+    const review = await Review.findByPk(req.params.id, { include: Property });
+    if (!review) {
+        return res.status(404).send({ error: 'Review not found.' });
+    }
+    if (review.Property.ownerId !== req.user.userId) {
+        return res.status(403).send({ error: 'Access denied. You do not own this property.' });
+    }
+    await review.update({ hostReply: req.body.reply, hostRepliedAt: new Date() });
+    res.send(review);
+});
+
+module.exports = router;
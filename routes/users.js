@@ -2,7 +2,9 @@ const express = require('express');
 const { User } = require('../sequelize');
 const { validateUserUpdate } = require('../middleware/middleware');
 const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizeAccountHolder } = require('../middleware/authorize');
 const bcrypt = require('bcryptjs');
+const { revokeAllForUser } = require('../utils/tokens');
 
 const router = express.Router();
 
@@ -67,13 +69,15 @@ router.get('/:id', authenticateJWT, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: User updated
+ *         description: User updated. Changing the password revokes all of the user's sessions.
  *       404:
  *         description: User not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You can only manage your own account.
  */
-router.put('/:id', authenticateJWT, validateUserUpdate, async (req, res) => {
+router.put('/:id', authenticateJWT, authorizeAccountHolder, validateUserUpdate, async (req, res) => {
     const user = await User.findByPk(req.params.id);
     if (!user) {
         return res.status(404).send({ error: 'User not found.' });
@@ -94,6 +98,11 @@ router.put('/:id', authenticateJWT, validateUserUpdate, async (req, res) => {
         phoneNumber
     });
 
+    // A new password signs the user out everywhere
+    if (password) {
+        await revokeAllForUser(user.id);
+    }
+
     res.send(user);
 });
 
@@ -118,8 +127,10 @@ router.put('/:id', authenticateJWT, validateUserUpdate, async (req, res) => {
  *         description: User not found
  *       401:
  *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You can only manage your own account.
  */
-router.delete('/:id', authenticateJWT, async (req, res) => {
+router.delete('/:id', authenticateJWT, authorizeAccountHolder, async (req, res) => {
     const user = await User.findByPk(req.params.id);
     if (!user) {
         return res.status(404).send({ error: 'User not found.' });
@@ -0,0 +1,351 @@
+const express = require('express');
+const { WebhookSubscription, WebhookDelivery } = require('../sequelize');
+const { validateWebhookSubscription } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const { authorizeWebhookOwner } = require('../middleware/authorize');
+const { generateSecret, processDueDeliveries } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Webhooks report events about the subscriber's properties, so they are for hosts and admins
+router.use(authenticateJWT, requireRole('host', 'admin'));
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     summary: List your webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of webhook subscriptions, without their secrets
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.get('/', async (req, res) => {
+    const subscriptions = await WebhookSubscription.findAll({
+        where: { UserId: req.user.userId },
+        order: [['id', 'asc']]
+    });
+    res.send(subscriptions);
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: Subscribe an endpoint to events
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Each event is POSTed to the URL as JSON `{ id, event, createdAt, data }`. Hosts receive events
+ *       about their properties and the reservations made on them; admins receive every event.
+ *       The Webhook-Signature header is `t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the secret>`.
+ *       Deliveries that do not get a 2xx answer within 10 seconds are retried with exponential backoff,
+ *       up to 8 attempts.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [reservation.created, reservation.updated, reservation.cancelled, property.updated]
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Subscription created. The signing secret is only returned now.
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. Insufficient permissions.
+ */
+router.post('/', validateWebhookSubscription, async (req, res) => {
+    const { url, events, description, active } = req.body;
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+        UserId: req.user.userId,
+        url,
+        events: [...new Set(events)],
+        description,
+        active,
+        secret
+    });
+    res.status(201).send(subscription);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription by ID
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook subscription details, without its secret
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this webhook.
+ */
+router.get('/:id', authorizeWebhookOwner, async (req, res) => {
+    res.send(req.subscription);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 description: Deliveries to an inactive subscription wait until it is active again
+ *     responses:
+ *       200:
+ *         description: Webhook subscription updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this webhook.
+ */
+router.put('/:id', authorizeWebhookOwner, validateWebhookSubscription, async (req, res) => {
+    const { url, events, description, active } = req.body;
+    await req.subscription.update({
+        url,
+        events: [...new Set(events)],
+        description,
+        active
+    });
+    if (req.subscription.active) {
+        setImmediate(processDueDeliveries);
+    }
+    res.send(req.subscription);
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this webhook.
+ */
+router.delete('/:id', authorizeWebhookOwner, async (req, res) => {
+    await req.subscription.destroy();
+    res.send({ message: 'Webhook deleted successfully.' });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret of a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The new secret, which signs every delivery from now on
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this webhook.
+ */
+router.post('/:id/rotate-secret', authorizeWebhookOwner, async (req, res) => {
+    const secret = generateSecret();
+    await req.subscription.update({ secret });
+    res.send({ id: req.subscription.id, secret });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook subscription, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         description: Only return deliveries with this status, e.g. failed to inspect failures
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of the page
+ *     responses:
+ *       200:
+ *         description: Deliveries with their payload, number of attempts, next attempt, last response status and error
+ *       404:
+ *         description: Webhook not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this webhook.
+ */
+router.get('/:id/deliveries', authorizeWebhookOwner, async (req, res) => {
+    const { status, event, offset } = req.query;
+    const filter = { WebhookSubscriptionId: req.subscription.id };
+
+    if (status) {
+        filter.status = status;
+    }
+
+    if (event) {
+        filter.event = event;
+    }
+
+    const pagination = {
+        limit: 20,
+        offset: offset ? parseInt(offset, 10) || 0 : 0 // Default page is 0
+    };
+
+    try {
+        const deliveries = await WebhookDelivery.findAll({
+            where: filter,
+            order: [['createdAt', 'desc'], ['id', 'desc']],
+            limit: pagination.limit,
+            offset: pagination.offset * pagination.limit
+        });
+        res.send(deliveries);
+    } catch (error) {
+        res.status(500).send({ error: 'Failed to retrieve deliveries.' });
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again now, with a fresh set of retries
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Delivery queued
+ *       404:
+ *         description: Webhook or delivery not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this webhook.
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', authorizeWebhookOwner, async (req, res) => {
+    const delivery = await WebhookDelivery.findOne({
+        where: { id: req.params.deliveryId, WebhookSubscriptionId: req.subscription.id }
+    });
+    if (!delivery) {
+        return res.status(404).send({ error: 'Delivery not found.' });
+    }
+    await delivery.update({ status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+    setImmediate(processDueDeliveries);
+    res.status(202).send(delivery);
+});
+
+module.exports = router;
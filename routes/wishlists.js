@@ -0,0 +1,389 @@
+const express = require('express');
+const crypto = require('crypto');
+const { Property, Wishlist, WishlistItem } = require('../sequelize');
+const { validateWishlist, validateWishlistItem } = require('../middleware/middleware');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { authorizeWishlistOwner } = require('../middleware/authorize');
+const { hashToken } = require('../utils/tokens');
+const { findConflict } = require('../utils/availability');
+const { SAVED_PROPERTY_ATTRIBUTES } = require('../utils/wishlists');
+require('dotenv').config();
+
+const router = express.Router();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const itemsInclude = {
+    model: WishlistItem,
+    as: 'items',
+    include: [{ model: Property, attributes: SAVED_PROPERTY_ATTRIBUTES }]
+};
+
+/**
+ * @swagger
+ * /wishlists:
+ *   get:
+ *     summary: List your wishlists with their saved properties
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of wishlists
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.get('/', authenticateJWT, async (req, res) => {
+    const wishlists = await Wishlist.findAll({
+        where: { UserId: req.user.userId },
+        include: [itemsInclude],
+        order: [['id', 'asc'], [{ model: WishlistItem, as: 'items' }, 'id', 'asc']]
+    });
+    res.send(wishlists);
+});
+
+/**
+ * @swagger
+ * /wishlists:
+ *   post:
+ *     summary: Create a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Wishlist created successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Access denied. No token provided.
+ */
+router.post('/', authenticateJWT, validateWishlist, async (req, res) => {
+    const wishlist = await Wishlist.create({ UserId: req.user.userId, name: req.body.name });
+    res.status(201).send(wishlist);
+});
+
+/**
+ * @swagger
+ * /wishlists/shared/{token}:
+ *   get:
+ *     summary: View a wishlist through its share link
+ *     tags: [Wishlists]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Name of the wishlist and its listed properties
+ *       404:
+ *         description: Wishlist not found, or the link was revoked
+ */
+router.get('/shared/:token', async (req, res) => {
+    const wishlist = await Wishlist.findOne({
+        where: { shareTokenHash: hashToken(req.params.token) },
+        include: [itemsInclude],
+        order: [[{ model: WishlistItem, as: 'items' }, 'id', 'asc']]
+    });
+    if (!wishlist) {
+        return res.status(404).send({ error: 'Wishlist not found.' });
+    }
+    res.send({
+        name: wishlist.name,
+        properties: wishlist.items.map((item) => item.Property).filter((property) => property.listed)
+    });
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}:
+ *   get:
+ *     summary: Get one of your wishlists
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wishlist with its saved properties and wanted dates
+ *       404:
+ *         description: Wishlist not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.get('/:id', authenticateJWT, authorizeWishlistOwner, async (req, res) => {
+    const wishlist = await Wishlist.findByPk(req.wishlist.id, {
+        include: [itemsInclude],
+        order: [[{ model: WishlistItem, as: 'items' }, 'id', 'asc']]
+    });
+    res.send(wishlist);
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}:
+ *   put:
+ *     summary: Rename a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Wishlist renamed
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Wishlist not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.put('/:id', authenticateJWT, authorizeWishlistOwner, validateWishlist, async (req, res) => {
+    await req.wishlist.update({ name: req.body.name });
+    res.send(req.wishlist);
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}:
+ *   delete:
+ *     summary: Delete a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Wishlist deleted successfully
+ *       404:
+ *         description: Wishlist not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.delete('/:id', authenticateJWT, authorizeWishlistOwner, async (req, res) => {
+    await req.wishlist.destroy();
+    res.send({ message: 'Wishlist deleted successfully.' });
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}/share:
+ *   post:
+ *     summary: Create a share link for a wishlist, replacing any previous one
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Link anyone can open to view the wishlist. It is only shown once; the previous link stops working.
+ *       404:
+ *         description: Wishlist not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.post('/:id/share', authenticateJWT, authorizeWishlistOwner, async (req, res) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await req.wishlist.update({ shareTokenHash: hashToken(token) });
+    res.status(201).send({ url: `${APP_URL}/wishlists/shared/${token}` });
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}/share:
+ *   delete:
+ *     summary: Stop sharing a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The share link no longer works
+ *       404:
+ *         description: Wishlist not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.delete('/:id/share', authenticateJWT, authorizeWishlistOwner, async (req, res) => {
+    await req.wishlist.update({ shareTokenHash: null });
+    res.send({ message: 'Wishlist is no longer shared.' });
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}/properties:
+ *   post:
+ *     summary: Save a property to a wishlist, optionally with the dates you would like to stay
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       You get a notification when the property's nightly price drops below the price it had when
+ *       you saved it, and, if the dates are not available now, when they become available.
+ *       Saving a property that is already in the wishlist updates its dates.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               propertyId:
+ *                 type: integer
+ *               checkIn:
+ *                 type: string
+ *                 format: date-time
+ *               checkOut:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Property saved; awaitingDates tells whether the dates are currently unavailable
+ *       200:
+ *         description: Dates of the already saved property updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Wishlist or property not found
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.post('/:id/properties', authenticateJWT, authorizeWishlistOwner, validateWishlistItem, async (req, res) => {
+    const { propertyId, checkIn, checkOut } = req.body;
+    const property = await Property.findByPk(propertyId);
+    if (!property || !property.listed) {
+        return res.status(404).send({ error: 'Property not found.' });
+    }
+
+    try {
+        const dates = checkIn
+            ? { checkIn: new Date(checkIn), checkOut: new Date(checkOut) }
+            : { checkIn: null, checkOut: null };
+        const awaitingDates = Boolean(dates.checkIn) && Boolean(await findConflict(property.id, dates.checkIn, dates.checkOut));
+
+        const existing = await WishlistItem.findOne({ where: { WishlistId: req.wishlist.id, PropertyId: property.id } });
+        if (existing) {
+            await existing.update({ ...dates, awaitingDates });
+            return res.send(existing);
+        }
+        const item = await WishlistItem.create({
+            WishlistId: req.wishlist.id,
+            PropertyId: property.id,
+            ...dates,
+            savedPrice: property.price,
+            awaitingDates
+        });
+        res.status(201).send(item);
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return res.status(409).send({ error: 'This property is already in the wishlist.' });
+        }
+        res.status(500).send({ error: 'Failed to save property.' });
+    }
+});
+
+/**
+ * @swagger
+ * /wishlists/{id}/properties/{propertyId}:
+ *   delete:
+ *     summary: Remove a property from a wishlist
+ *     tags: [Wishlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Property removed from the wishlist
+ *       404:
+ *         description: Wishlist not found, or the property is not in it
+ *       401:
+ *         description: Access denied. No token provided.
+ *       403:
+ *         description: Access denied. You do not own this wishlist.
+ */
+router.delete('/:id/properties/:propertyId', authenticateJWT, authorizeWishlistOwner, async (req, res) => {
+    const removed = await WishlistItem.destroy({
+        where: { WishlistId: req.wishlist.id, PropertyId: req.params.propertyId }
+    });
+    if (!removed) {
+        return res.status(404).send({ error: 'Property is not in this wishlist.' });
+    }
+    res.send({ message: 'Property removed from the wishlist.' });
+});
+
+module.exports = router;
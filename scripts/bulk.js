@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Bulk import and export of properties and reservations from the command line, with the
+// same rules as the /bulk endpoints.
+//
+//   node scripts/bulk.js import properties listings.csv --user host@example.com [--dry-run]
+//   node scripts/bulk.js import reservations bookings.json --user host@example.com [--dry-run]
+//   node scripts/bulk.js export properties --user host@example.com [--format csv] [--out properties.csv]
+//   node scripts/bulk.js export reservations --user admin@example.com [--format csv] [--out reservations.csv]
+//
+// --user is the account the command acts as: a host works on their own properties, an admin
+// exports everything and imports properties for the host given with --owner.
+const fs = require('fs');
+const path = require('path');
+const { sequelize, User } = require('../sequelize');
+const { toCsv } = require('../utils/csv');
+const {
+    PROPERTY_COLUMNS, RESERVATION_COLUMNS, parseRows, toCsvRecord,
+    importProperties, importReservations, exportProperties, exportReservations
+} = require('../utils/bulk');
+
+const USAGE = 'Usage: node scripts/bulk.js <import|export> <properties|reservations> [file] '
+    + '--user <email> [--owner <email>] [--dry-run] [--format json|csv] [--out file]';
+
+const parseArgs = (argv) => {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (arg.startsWith('--')) {
+            args[arg.slice(2)] = argv[i + 1];
+            i += 1;
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+};
+
+const findUser = async (email, what) => {
+    const user = email && await User.findOne({ where: { email } });
+    if (!user) {
+        throw new Error(`No ${what} with email ${email || '(missing)'}.`);
+    }
+    return user;
+};
+
+const runImport = async (kind, file, user, args) => {
+    if (!file) {
+        throw new Error(USAGE);
+    }
+    const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+    const text = fs.readFileSync(file, 'utf8');
+    const rows = parseRows(format === 'csv' ? text : JSON.parse(text), format);
+
+    let report;
+    if (kind === 'properties') {
+        const owner = user.role === 'admin' ? await findUser(args.owner, 'host') : user;
+        if (owner.role !== 'host') {
+            throw new Error('Properties can only be imported for a host.');
+        }
+        report = await importProperties(rows, owner.id, { dryRun: Boolean(args.dryRun) });
+    } else {
+        report = await importReservations(rows, { userId: user.id, role: user.role }, { dryRun: Boolean(args.dryRun) });
+    }
+
+    report.rows.filter((result) => result.errors.length > 0).forEach((result) => {
+        result.errors.forEach((error) => console.error(`Row ${result.row}: ${error.path}: ${error.msg}`));
+    });
+    if (!report.valid) {
+        console.error('No rows were imported: some rows are invalid.');
+        return false;
+    }
+    console.log(report.dryRun
+        ? `Dry run: all ${report.rows.length} rows are valid.`
+        : `Imported ${report.imported} ${kind}.`);
+    return true;
+};
+
+const runExport = async (kind, user, args) => {
+    const ownerId = user.role === 'admin' ? undefined : user.id;
+    const rows = kind === 'properties' ? await exportProperties({ ownerId }) : await exportReservations({ ownerId });
+    const output = args.format === 'csv'
+        ? toCsv(kind === 'properties' ? PROPERTY_COLUMNS : RESERVATION_COLUMNS, rows.map(toCsvRecord))
+        : `${JSON.stringify(rows, null, 2)}\n`;
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+        console.error(`Exported ${rows.length} ${kind} to ${args.out}.`);
+    } else {
+        process.stdout.write(output);
+    }
+    return true;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, kind, file] = args.positional;
+    if (!['import', 'export'].includes(command) || !['properties', 'reservations'].includes(kind)) {
+        throw new Error(USAGE);
+    }
+    const user = await findUser(args.user, 'user');
+    if (!['host', 'admin'].includes(user.role)) {
+        throw new Error('Only hosts and admins can import and export.');
+    }
+    return command === 'import' ? runImport(kind, file, user, args) : runExport(kind, user, args);
+};
+
+main()
+    .then((ok) => {
+        process.exitCode = ok ? 0 : 1;
+    })
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
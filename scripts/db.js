@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Database schema migrations and demo data from the command line.
+//
+//   node scripts/db.js migrate                     run the migrations not run yet
+//   node scripts/db.js rollback [--steps n|--all]  undo the last migration, the last n, or all of them
+//   node scripts/db.js status                      list the migrations and whether they ran
+//   node scripts/db.js seed [--force]              add the demo data of seeds/ (refused in production without --force)
+const { sequelize } = require('../sequelize');
+const { migrate, rollback, status, seed } = require('../utils/migrations');
+
+const USAGE = 'Usage: node scripts/db.js <migrate|rollback|status|seed> [--steps n] [--all] [--force]';
+
+const parseArgs = (argv) => {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (arg === '--all' || arg === '--force') {
+            args[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            args[arg.slice(2)] = argv[i + 1];
+            i += 1;
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+};
+
+const log = (line) => console.log(line);
+
+const COMMANDS = {
+    migrate: async () => {
+        const ran = await migrate({ log });
+        console.log(ran.length > 0 ? `Ran ${ran.length} migrations.` : 'The database is up to date.');
+    },
+    rollback: async (args) => {
+        const steps = args.steps === undefined ? 1 : parseInt(args.steps, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('--steps must be a positive integer.');
+        }
+        const undone = await rollback({ steps, all: Boolean(args.all), log });
+        console.log(undone.length > 0 ? `Rolled back ${undone.length} migrations.` : 'No migrations to roll back.');
+    },
+    status: async () => {
+        (await status()).forEach(({ name, executed }) => console.log(`${executed ? 'up  ' : 'down'}  ${name}`));
+    },
+    seed: async (args) => {
+        if (process.env.NODE_ENV === 'production' && !args.force) {
+            throw new Error('Refusing to seed demo data with NODE_ENV=production. Pass --force to seed anyway.');
+        }
+        await seed({ log });
+    }
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const command = args.positional.shift();
+    if (!Object.hasOwn(COMMANDS, command)) {
+        throw new Error(USAGE);
+    }
+    await COMMANDS[command](args);
+};
+
+main()
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
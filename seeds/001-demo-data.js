@@ -0,0 +1,174 @@
+// Demo accounts, listings and bookings for local development. Every account's password is
+// "password1234". Dates are relative to today so the bookings stay past, upcoming and pending.
+const bcrypt = require('bcryptjs');
+const {
+    User, Property, Reservation, Review, SeasonalRate, StayDiscount, BlockedPeriod
+} = require('../sequelize');
+const { ensureDefaultAmenities, resolveAmenities } = require('../utils/amenities');
+const { quoteStay } = require('../utils/pricing');
+const { recordCreation } = require('../utils/reservationStatus');
+const { tiersFor } = require('../utils/cancellation');
+const { refreshPropertyRating } = require('../utils/reviews');
+
+const PASSWORD = 'password1234';
+const DAY = 24 * 60 * 60 * 1000;
+
+const USERS = [
+    { email: 'admin@example.com', firstName: 'Ada', lastName: 'Admin', phoneNumber: '+15550000001', role: 'admin' },
+    { email: 'host@example.com', firstName: 'Hana', lastName: 'Host', phoneNumber: '+15550000002', role: 'host' },
+    { email: 'guest@example.com', firstName: 'Gus', lastName: 'Guest', phoneNumber: '+15550000003', role: 'guest' }
+];
+
+const PROPERTIES = [
+    {
+        name: 'Harbour View Apartment',
+        address: '12 Quay Street',
+        city: 'Lisbon',
+        price: 95,
+        weekendPrice: 120,
+        cleaningFee: 30,
+        capacity: 4,
+        propertyType: 'apartment',
+        bedrooms: 2,
+        beds: 2,
+        bathrooms: 1,
+        latitude: 38.7077,
+        longitude: -9.1366,
+        cancellationPolicy: 'moderate',
+        amenities: ['wifi', 'kitchen', 'air-conditioning', 'washer']
+    },
+    {
+        name: 'Pine Cabin',
+        address: '3 Forest Road',
+        city: 'Bergen',
+        price: 140,
+        cleaningFee: 50,
+        extraGuestFee: 15,
+        includedGuests: 4,
+        capacity: 6,
+        propertyType: 'cabin',
+        bedrooms: 3,
+        beds: 4,
+        bathrooms: 1.5,
+        latitude: 60.3913,
+        longitude: 5.3221,
+        petsAllowed: true,
+        cancellationPolicy: 'strict',
+        amenities: ['wifi', 'parking', 'heating', 'hot-tub']
+    },
+    {
+        name: 'Old Town Studio',
+        address: '48 Market Square',
+        city: 'Krakow',
+        price: 60,
+        capacity: 2,
+        propertyType: 'studio',
+        bedrooms: 0,
+        beds: 1,
+        bathrooms: 1,
+        latitude: 50.0614,
+        longitude: 19.9366,
+        maxInfants: 1,
+        cancellationPolicy: 'flexible',
+        amenities: ['wifi', 'workspace', 'tv']
+    }
+];
+
+// Midnight UTC `days` from today
+const daysFromToday = (days) => {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    return new Date(date.getTime() + days * DAY);
+};
+
+const createProperty = async ({ amenities, ...fields }, owner) => {
+    const property = await Property.create({ ...fields, ownerId: owner.id });
+    const { amenities: found } = await resolveAmenities(amenities);
+    await property.setAmenities(found);
+    return property;
+};
+
+// Books the stay at the property's current prices, the way POST /reservations does
+const book = async (property, guest, { arrival, nights, party, status }) => {
+    const arrivalTime = daysFromToday(arrival);
+    const departureTime = daysFromToday(arrival + nights);
+    const quote = await quoteStay(property, arrivalTime, departureTime, party);
+    const reservation = await Reservation.create({
+        PropertyId: property.id,
+        UserId: guest.id,
+        arrivalTime,
+        departureTime,
+        ...party,
+        totalPrice: quote.total,
+        priceBreakdown: quote,
+        cancellationTiers: tiersFor(property),
+        status
+    });
+    await recordCreation(reservation, { userId: guest.id });
+    return reservation;
+};
+
+module.exports = {
+    up: async () => {
+        if (await User.count({ where: { email: USERS.map((user) => user.email) } }) > 0) {
+            console.log('Demo data already present, skipping.');
+            return;
+        }
+
+        await ensureDefaultAmenities();
+        const password = await bcrypt.hash(PASSWORD, 10);
+        const [, host, guest] = await Promise.all(USERS.map((user) => User.create({
+            ...user,
+            password,
+            emailVerified: true
+        })));
+
+        const properties = [];
+        for (const fields of PROPERTIES) {
+            properties.push(await createProperty(fields, host));
+        }
+
+        await SeasonalRate.create({
+            PropertyId: properties[0].id,
+            name: 'Summer',
+            startTime: daysFromToday(60),
+            endTime: daysFromToday(120),
+            nightlyPrice: 130,
+            weekendPrice: 150
+        });
+        await StayDiscount.create({ PropertyId: properties[1].id, minNights: 7, percent: 10 });
+        await BlockedPeriod.create({
+            PropertyId: properties[2].id,
+            startTime: daysFromToday(14),
+            endTime: daysFromToday(18),
+            reason: 'maintenance'
+        });
+
+        const completed = await book(properties[0], guest, {
+            arrival: -20, nights: 4, party: { adults: 2, children: 1, infants: 0, pets: 0 }, status: 'completed'
+        });
+        await Review.create({
+            ReservationId: completed.id,
+            PropertyId: properties[0].id,
+            UserId: guest.id,
+            overall: 5,
+            cleanliness: 5,
+            accuracy: 4,
+            communication: 5,
+            location: 5,
+            checkIn: 5,
+            value: 4,
+            comment: 'Lovely view over the harbour and a very responsive host.'
+        });
+        await refreshPropertyRating(properties[0].id);
+
+        await book(properties[1], guest, {
+            arrival: 10, nights: 7, party: { adults: 4, children: 1, infants: 0, pets: 1 }, status: 'confirmed'
+        });
+        await book(properties[2], guest, {
+            arrival: 30, nights: 3, party: { adults: 1, children: 0, infants: 0, pets: 0 }, status: 'pending'
+        });
+
+        console.log(`Seeded ${USERS.length} users, ${properties.length} properties and 3 reservations.`);
+    }
+};
@@ -1,4 +1,5 @@
-const { Sequelize, DataTypes, Op } = require('sequelize'); // Add Op here
+const { Sequelize, DataTypes, Op, Transaction } = require('sequelize'); // Add Op here
+const { getStorage } = require('./storage');
 require('dotenv').config();
 
 // Connection
@@ -8,7 +9,9 @@ const sequelize = new Sequelize(
     process.env.DB_PASS,
     {
         host: process.env.DB_HOST,
-        dialect: 'mysql'
+        dialect: 'mysql',
+        // Amounts of money are DECIMAL columns; read them as numbers rather than strings
+        dialectOptions: { decimalNumbers: true }
     }
 );
 // Models
@@ -18,7 +21,27 @@ const User = sequelize.define('User', {
     password: { type: DataTypes.STRING, allowNull: false },
     firstName: { type: DataTypes.STRING, allowNull: false },
     lastName: { type: DataTypes.STRING, allowNull: false },
-    phoneNumber: { type: DataTypes.STRING, allowNull: false }
+    phoneNumber: { type: DataTypes.STRING, allowNull: false },
+    role: { type: DataTypes.ENUM('guest', 'host', 'admin'), allowNull: false, defaultValue: 'guest' },
+    emailVerified: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    suspended: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    // Notification types the user turned on or off, e.g. { "reservation.review_prompt": false }
+    notificationPreferences: { type: DataTypes.JSON, allowNull: true }
+});
+
+const RefreshToken = sequelize.define('RefreshToken', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+    family: { type: DataTypes.STRING(36), allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    revokedAt: { type: DataTypes.DATE, allowNull: true }
+});
+
+const ActionToken = sequelize.define('ActionToken', {
+    id: { type: DataTypes.STRING(36), primaryKey: true },
+    purpose: { type: DataTypes.ENUM('verify_email', 'reset_password'), allowNull: false },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    usedAt: { type: DataTypes.DATE, allowNull: true }
 });
 
 const Property = sequelize.define('Property', {
@@ -27,21 +50,321 @@ const Property = sequelize.define('Property', {
     address: { type: DataTypes.STRING, allowNull: false },
     city: { type: DataTypes.STRING, allowNull: false },
     price: { type: DataTypes.FLOAT, allowNull: false },
-    capacity: { type: DataTypes.INTEGER, allowNull: false }
+    capacity: { type: DataTypes.INTEGER, allowNull: false },
+    propertyType: {
+        type: DataTypes.ENUM('apartment', 'house', 'villa', 'cabin', 'cottage', 'studio', 'other'),
+        allowNull: false,
+        defaultValue: 'other'
+    },
+    bedrooms: { type: DataTypes.INTEGER, allowNull: true },
+    beds: { type: DataTypes.INTEGER, allowNull: true },
+    bathrooms: { type: DataTypes.FLOAT, allowNull: true },
+    latitude: { type: DataTypes.DOUBLE, allowNull: true },
+    longitude: { type: DataTypes.DOUBLE, allowNull: true },
+    weekendPrice: { type: DataTypes.FLOAT, allowNull: true },
+    cleaningFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    extraGuestFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    includedGuests: { type: DataTypes.INTEGER, allowNull: true },
+    petsAllowed: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    maxInfants: { type: DataTypes.INTEGER, allowNull: true },
+    cancellationPolicy: {
+        type: DataTypes.ENUM('flexible', 'moderate', 'strict', 'custom'),
+        allowNull: false,
+        defaultValue: 'flexible'
+    },
+    cancellationTiers: { type: DataTypes.JSON, allowNull: true },
+    listed: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    averageRating: { type: DataTypes.FLOAT, allowNull: true },
+    reviewCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    // SHA-256 of the secret token in the iCalendar feed URL
+    calendarTokenHash: { type: DataTypes.STRING(64), allowNull: true, unique: true }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['calendarTokenHash'] }
+    }
 });
 
 const Reservation = sequelize.define('Reservation', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     arrivalTime: { type: DataTypes.DATE, allowNull: false },
-    departureTime: { type: DataTypes.DATE, allowNull: false }
+    departureTime: { type: DataTypes.DATE, allowNull: false },
+    adults: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    children: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    infants: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    pets: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    totalPrice: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+    priceBreakdown: { type: DataTypes.JSON, allowNull: true },
+    cancellationTiers: { type: DataTypes.JSON, allowNull: true },
+    refundPercent: { type: DataTypes.FLOAT, allowNull: true },
+    refundAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+    cancelledAt: { type: DataTypes.DATE, allowNull: true },
+    status: {
+        type: DataTypes.ENUM('pending', 'confirmed', 'declined', 'checked_in', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+    }
+}, {
+    // Availability checks look up a property's reservations overlapping a date range
+    indexes: [{ fields: ['PropertyId', 'arrivalTime', 'departureTime'] }]
+});
+
+// Money for a reservation held and taken through the payment provider: authorized when
+// booking, captured when the host confirms, refunded or voided when cancelled
+const Payment = sequelize.define('Payment', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    provider: { type: DataTypes.STRING, allowNull: false },
+    providerPaymentId: { type: DataTypes.STRING, allowNull: true, unique: true },
+    amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+    currency: { type: DataTypes.STRING(3), allowNull: false },
+    capturedAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+    refundedAmount: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+    status: {
+        type: DataTypes.ENUM('pending', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    failureReason: { type: DataTypes.STRING, allowNull: true }
+});
+
+const ReservationStatusChange = sequelize.define('ReservationStatusChange', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    fromStatus: { type: DataTypes.STRING, allowNull: true },
+    toStatus: { type: DataTypes.STRING, allowNull: false },
+    note: { type: DataTypes.STRING, allowNull: true }
+}, { updatedAt: false });
+
+const Review = sequelize.define('Review', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    overall: { type: DataTypes.INTEGER, allowNull: false },
+    cleanliness: { type: DataTypes.INTEGER, allowNull: true },
+    accuracy: { type: DataTypes.INTEGER, allowNull: true },
+    communication: { type: DataTypes.INTEGER, allowNull: true },
+    location: { type: DataTypes.INTEGER, allowNull: true },
+    checkIn: { type: DataTypes.INTEGER, allowNull: true },
+    value: { type: DataTypes.INTEGER, allowNull: true },
+    comment: { type: DataTypes.TEXT, allowNull: true },
+    hostReply: { type: DataTypes.TEXT, allowNull: true },
+    hostRepliedAt: { type: DataTypes.DATE, allowNull: true }
+});
+
+// Thread between a guest and the host of a property, about an inquiry or a reservation
+const Conversation = sequelize.define('Conversation', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    lastMessageAt: { type: DataTypes.DATE, allowNull: true }
+});
+
+const Message = sequelize.define('Message', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    body: { type: DataTypes.TEXT, allowNull: false },
+    // When the other party read the message
+    readAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+    indexes: [{ fields: ['ConversationId', 'createdAt'] }]
+});
+
+const Wishlist = sequelize.define('Wishlist', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING(100), allowNull: false },
+    // SHA-256 of the secret token in the wishlist's share link
+    shareTokenHash: { type: DataTypes.STRING(64), allowNull: true, unique: true }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['shareTokenHash'] }
+    }
+});
+
+// Property saved to a wishlist, optionally with the dates the guest would like to stay
+const WishlistItem = sequelize.define('WishlistItem', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    checkIn: { type: DataTypes.DATE, allowNull: true },
+    checkOut: { type: DataTypes.DATE, allowNull: true },
+    // Nightly price when saved or when the guest was last told about a drop
+    savedPrice: { type: DataTypes.FLOAT, allowNull: false },
+    // The wanted dates were booked or blocked; the guest is told when they become free
+    awaitingDates: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false }
+}, {
+    indexes: [{ unique: true, fields: ['WishlistId', 'PropertyId'] }]
+});
+
+// In-app message for a user, e.g. about a saved property or an upcoming stay
+const Notification = sequelize.define('Notification', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    type: { type: DataTypes.STRING(50), allowNull: false },
+    // Identifies notifications that must only be sent once, e.g. the check-in reminder of a reservation
+    key: { type: DataTypes.STRING, allowNull: true, unique: true },
+    message: { type: DataTypes.STRING(500), allowNull: false },
+    data: { type: DataTypes.JSON, allowNull: true },
+    readAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+    indexes: [{ fields: ['UserId', 'readAt'] }]
+});
+
+const Amenity = sequelize.define('Amenity', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    key: { type: DataTypes.STRING, allowNull: false, unique: true },
+    name: { type: DataTypes.STRING, allowNull: false }
+});
+
+const PropertyAmenity = sequelize.define('PropertyAmenity', {}, { timestamps: false });
+
+const Photo = sequelize.define('Photo', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    storageKey: { type: DataTypes.STRING, allowNull: false },
+    contentType: { type: DataTypes.STRING, allowNull: false },
+    size: { type: DataTypes.INTEGER, allowNull: false },
+    caption: { type: DataTypes.STRING, allowNull: true },
+    position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    isCover: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    url: {
+        type: DataTypes.VIRTUAL,
+        get() {
+            return getStorage().urlFor(this.getDataValue('storageKey'));
+        }
+    }
+});
+
+const BlockedPeriod = sequelize.define('BlockedPeriod', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    startTime: { type: DataTypes.DATE, allowNull: false },
+    endTime: { type: DataTypes.DATE, allowNull: false },
+    reason: { type: DataTypes.ENUM('maintenance', 'personal', 'other', 'external'), allowNull: false, defaultValue: 'other' },
+    // UID of the event an imported period was created from
+    externalUid: { type: DataTypes.STRING, allowNull: true }
+});
+
+// External calendar (another platform's iCalendar feed or an uploaded file) whose events block the property
+const CalendarImport = sequelize.define('CalendarImport', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING, allowNull: false },
+    url: { type: DataTypes.STRING(2048), allowNull: true },
+    lastSyncedAt: { type: DataTypes.DATE, allowNull: true },
+    lastError: { type: DataTypes.TEXT, allowNull: true }
+});
+
+// Endpoint of a downstream system that is sent the events it subscribed to
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    url: { type: DataTypes.STRING(2048), allowNull: false },
+    events: { type: DataTypes.JSON, allowNull: false },
+    description: { type: DataTypes.STRING, allowNull: true },
+    // Key of the HMAC signature of every delivery, shown to the subscriber only when it is created
+    secret: { type: DataTypes.STRING(64), allowNull: false },
+    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['secret'] }
+    }
+});
+
+// One event sent to one subscription, with the outcome of its latest attempt
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    eventId: { type: DataTypes.STRING(36), allowNull: false },
+    event: { type: DataTypes.STRING, allowNull: false },
+    payload: { type: DataTypes.JSON, allowNull: false },
+    status: { type: DataTypes.ENUM('pending', 'succeeded', 'failed'), allowNull: false, defaultValue: 'pending' },
+    attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    nextAttemptAt: { type: DataTypes.DATE, allowNull: true },
+    lastAttemptAt: { type: DataTypes.DATE, allowNull: true },
+    responseStatus: { type: DataTypes.INTEGER, allowNull: true },
+    lastError: { type: DataTypes.TEXT, allowNull: true }
+}, {
+    indexes: [{ fields: ['status', 'nextAttemptAt'] }]
+});
+
+const SeasonalRate = sequelize.define('SeasonalRate', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    name: { type: DataTypes.STRING, allowNull: true },
+    startTime: { type: DataTypes.DATE, allowNull: false },
+    endTime: { type: DataTypes.DATE, allowNull: false },
+    nightlyPrice: { type: DataTypes.FLOAT, allowNull: false },
+    weekendPrice: { type: DataTypes.FLOAT, allowNull: true }
+});
+
+const StayDiscount = sequelize.define('StayDiscount', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    minNights: { type: DataTypes.INTEGER, allowNull: false },
+    percent: { type: DataTypes.FLOAT, allowNull: false }
 });
 
 // Relationships
+User.hasMany(RefreshToken, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: { allowNull: false } });
+
+User.hasMany(ActionToken, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+ActionToken.belongsTo(User, { foreignKey: { allowNull: false } });
+
 User.hasMany(Reservation, { foreignKey: { allowNull: false } });
 Property.hasMany(Reservation, { foreignKey: { allowNull: false } });
 
 Reservation.belongsTo(User, { foreignKey: { allowNull: false } });
 Reservation.belongsTo(Property, { foreignKey: { allowNull: false } });
 
+User.hasMany(Property, { as: 'properties', foreignKey: { name: 'ownerId', allowNull: false } });
+Property.belongsTo(User, { as: 'owner', foreignKey: { name: 'ownerId', allowNull: false } });
+
+Reservation.hasMany(ReservationStatusChange, { as: 'statusHistory', foreignKey: { allowNull: false } });
+ReservationStatusChange.belongsTo(Reservation, { foreignKey: { allowNull: false } });
+ReservationStatusChange.belongsTo(User, { as: 'changedBy', foreignKey: { name: 'changedById', allowNull: true } });
+
+Reservation.hasOne(Payment, { foreignKey: { allowNull: false, unique: true }, onDelete: 'CASCADE' });
+Payment.belongsTo(Reservation, { foreignKey: { allowNull: false, unique: true } });
+
+Reservation.hasOne(Review, { foreignKey: { allowNull: false, unique: true } });
+Review.belongsTo(Reservation, { foreignKey: { allowNull: false, unique: true } });
+Property.hasMany(Review, { foreignKey: { allowNull: false } });
+Review.belongsTo(Property, { foreignKey: { allowNull: false } });
+User.hasMany(Review, { foreignKey: { allowNull: false } });
+Review.belongsTo(User, { foreignKey: { allowNull: false } });
+
+Property.hasMany(Conversation, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+Conversation.belongsTo(Property, { foreignKey: { allowNull: false } });
+Reservation.hasOne(Conversation, { foreignKey: { allowNull: true, unique: true }, onDelete: 'CASCADE' });
+Conversation.belongsTo(Reservation, { foreignKey: { allowNull: true, unique: true } });
+Conversation.belongsTo(User, { as: 'guest', foreignKey: { name: 'guestId', allowNull: false } });
+Conversation.belongsTo(User, { as: 'host', foreignKey: { name: 'hostId', allowNull: false } });
+
+Conversation.hasMany(Message, { as: 'messages', foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+Message.belongsTo(Conversation, { foreignKey: { allowNull: false } });
+Message.belongsTo(User, { as: 'sender', foreignKey: { name: 'senderId', allowNull: false } });
+
+User.hasMany(Wishlist, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+Wishlist.belongsTo(User, { foreignKey: { allowNull: false } });
+
+Wishlist.hasMany(WishlistItem, { as: 'items', foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+WishlistItem.belongsTo(Wishlist, { foreignKey: { allowNull: false } });
+Property.hasMany(WishlistItem, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+WishlistItem.belongsTo(Property, { foreignKey: { allowNull: false } });
+
+User.hasMany(Notification, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+Notification.belongsTo(User, { foreignKey: { allowNull: false } });
+
+Property.belongsToMany(Amenity, { through: PropertyAmenity, as: 'amenities' });
+Amenity.belongsToMany(Property, { through: PropertyAmenity });
+
+Property.hasMany(Photo, { as: 'photos', foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+Photo.belongsTo(Property, { foreignKey: { allowNull: false } });
+
+Property.hasMany(BlockedPeriod, { foreignKey: { allowNull: false } });
+BlockedPeriod.belongsTo(Property, { foreignKey: { allowNull: false } });
+
+Property.hasMany(CalendarImport, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+CalendarImport.belongsTo(Property, { foreignKey: { allowNull: false } });
+
+CalendarImport.hasMany(BlockedPeriod, { onDelete: 'CASCADE' });
+BlockedPeriod.belongsTo(CalendarImport);
+
+User.hasMany(WebhookSubscription, { foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+WebhookSubscription.belongsTo(User, { foreignKey: { allowNull: false } });
+
+WebhookSubscription.hasMany(WebhookDelivery, { as: 'deliveries', foreignKey: { allowNull: false }, onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookSubscription, { foreignKey: { allowNull: false } });
+
+Property.hasMany(SeasonalRate, { foreignKey: { allowNull: false } });
+SeasonalRate.belongsTo(Property, { foreignKey: { allowNull: false } });
+
+Property.hasMany(StayDiscount, { foreignKey: { allowNull: false } });
+StayDiscount.belongsTo(Property, { foreignKey: { allowNull: false } });
+
 // Exports
-module.exports = { sequelize, User, Property, Reservation, Op }; // Add Op here
+module.exports = { sequelize, User, RefreshToken, ActionToken, Property, Reservation, Payment, ReservationStatusChange, Review, Conversation, Message, Wishlist, WishlistItem, Notification, Amenity, PropertyAmenity, Photo, BlockedPeriod, CalendarImport, WebhookSubscription, WebhookDelivery, SeasonalRate, StayDiscount, Op, Transaction }; // Add Op here
@@ -0,0 +1,42 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { requireOptional } = require('../utils/optionalDependency');
+require('dotenv').config();
+
+// A storage is any object with save({ key, buffer, contentType }), remove(key) and
+// urlFor(key). STORAGE_DRIVER picks the implementation: local (default) or s3.
+const createDefaultStorage = () => {
+    if (process.env.STORAGE_DRIVER === 's3') {
+        const { S3 } = requireOptional('@aws-sdk/client-s3', 'STORAGE_DRIVER=s3');
+        const client = new S3({
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            forcePathStyle: Boolean(process.env.S3_ENDPOINT)
+        });
+        return createS3Storage(client, {
+            bucket: process.env.S3_BUCKET,
+            publicBaseUrl: process.env.S3_PUBLIC_URL
+        });
+    }
+    return createLocalStorage({
+        dir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+        publicBaseUrl: `${process.env.APP_URL || 'http://localhost:3000'}/uploads`
+    });
+};
+
+let storage;
+
+const getStorage = () => {
+    if (!storage) {
+        storage = createDefaultStorage();
+    }
+    return storage;
+};
+
+// Replaces the storage, e.g. with a throwaway local folder in tests
+const setStorage = (replacement) => {
+    storage = replacement;
+};
+
+module.exports = { createLocalStorage, createS3Storage, getStorage, setStorage };
@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keeps files in `dir` on local disk; app.js serves that folder at /uploads
+const createLocalStorage = ({ dir, publicBaseUrl }) => ({
+    dir,
+    save: async ({ key, buffer }) => {
+        const file = path.join(dir, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        return { key };
+    },
+    remove: async (key) => {
+        await fs.rm(path.join(dir, key), { force: true });
+    },
+    urlFor: (key) => `${publicBaseUrl}/${key}`
+});
+
+module.exports = createLocalStorage;
@@ -0,0 +1,15 @@
+// Keeps files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2...). `client` is
+// any object with promise-returning putObject and deleteObject methods taking
+// { Bucket, Key, ... } parameters, e.g. the S3 class of @aws-sdk/client-s3.
+const createS3Storage = (client, { bucket, publicBaseUrl }) => ({
+    save: async ({ key, buffer, contentType }) => {
+        await client.putObject({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType });
+        return { key };
+    },
+    remove: async (key) => {
+        await client.deleteObject({ Bucket: bucket, Key: key });
+    },
+    urlFor: (key) => `${publicBaseUrl}/${key}`
+});
+
+module.exports = createS3Storage;
@@ -34,14 +34,70 @@ const swaggerDefinition = {
             name: 'Users',
             description: 'User related endpoints',
         },
+        {
+            name: 'Auth',
+            description: 'Session related endpoints',
+        },
         {
             name: 'Properties',
             description: 'Property related endpoints',
         },
+        {
+            name: 'Pricing',
+            description: 'Price quotes, seasonal rates and length-of-stay discounts',
+        },
         {
             name: 'Reservations',
             description: 'Reservation related endpoints',
         },
+        {
+            name: 'Payments',
+            description: 'Reservation payments and the payment provider webhook',
+        },
+        {
+            name: 'Messages',
+            description: 'Conversations between guests and hosts about an inquiry or a reservation',
+        },
+        {
+            name: 'Wishlists',
+            description: 'Saved properties, with share links and alerts about price drops and freed dates',
+        },
+        {
+            name: 'Notifications',
+            description: 'In-app notifications of the signed-in user',
+        },
+        {
+            name: 'Analytics',
+            description: 'Occupancy and revenue reports for hosts and admins',
+        },
+        {
+            name: 'Bulk',
+            description: 'CSV and JSON import and export of properties and reservations',
+        },
+        {
+            name: 'Photos',
+            description: 'Property photo uploads',
+        },
+        {
+            name: 'Amenities',
+            description: 'Amenity catalog and the amenities of each property',
+        },
+        {
+            name: 'Calendar sync',
+            description: 'iCalendar feeds and imports to keep availability in sync with other platforms',
+        },
+        {
+            name: 'Reviews',
+            description: 'Guest reviews and property ratings',
+        },
+        {
+            name: 'Webhooks',
+            description: 'Event subscriptions for downstream systems and their delivery log',
+        },
+        {
+            name: 'Admin',
+            description: 'Platform operator endpoints (admin role only)',
+        },
     ],
 };
 
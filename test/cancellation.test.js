@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { POLICIES, tiersFor, calculateRefund } = require('../utils/cancellation');
+
+const HOUR = 60 * 60 * 1000;
+const arrivalTime = new Date('2030-06-15T15:00:00Z');
+const hoursBefore = (hours) => new Date(arrivalTime.getTime() - hours * HOUR);
+
+describe('calculateRefund', () => {
+    const refundOf = (cancelledAt, tiers = POLICIES.moderate) => calculateRefund({ tiers, total: 400, arrivalTime, cancelledAt });
+
+    it('applies the tier with the most days before arrival that were reached', () => {
+        assert.deepStrictEqual(refundOf(hoursBefore(5 * 24)), { daysBeforeArrival: 5, refundPercent: 100, refundAmount: 400 });
+        assert.deepStrictEqual(refundOf(hoursBefore(5 * 24 - 1)), { daysBeforeArrival: 4, refundPercent: 50, refundAmount: 200 });
+        assert.deepStrictEqual(refundOf(hoursBefore(23)), { daysBeforeArrival: 0, refundPercent: 0, refundAmount: 0 });
+    });
+
+    it('refunds nothing after arrival', () => {
+        assert.strictEqual(refundOf(new Date(arrivalTime.getTime() + HOUR)).refundAmount, 0);
+    });
+
+    it('does not depend on the order of custom tiers', () => {
+        const tiers = [{ daysBefore: 2, refundPercent: 25 }, { daysBefore: 10, refundPercent: 90 }];
+
+        assert.strictEqual(refundOf(hoursBefore(11 * 24), tiers).refundPercent, 90);
+        assert.strictEqual(refundOf(hoursBefore(3 * 24), tiers).refundPercent, 25);
+    });
+
+    it('rounds the refund to cents', () => {
+        const refund = calculateRefund({ tiers: POLICIES.moderate, total: 99.99, arrivalTime, cancelledAt: hoursBefore(48) });
+
+        assert.strictEqual(refund.refundAmount, 50);
+    });
+});
+
+describe('tiersFor', () => {
+    it('uses the tiers of custom policies and the built-in ones otherwise', () => {
+        const tiers = [{ daysBefore: 3, refundPercent: 80 }];
+
+        assert.deepStrictEqual(tiersFor({ cancellationPolicy: 'custom', cancellationTiers: tiers }), tiers);
+        assert.deepStrictEqual(tiersFor({ cancellationPolicy: 'custom', cancellationTiers: null }), []);
+        assert.strictEqual(tiersFor({ cancellationPolicy: 'strict' }), POLICIES.strict);
+        assert.strictEqual(tiersFor({ cancellationPolicy: null }), POLICIES.flexible);
+    });
+});
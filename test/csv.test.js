@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+describe('toCsv', () => {
+    it('writes a header line and quotes fields with separators, quotes and line breaks', () => {
+        const csv = toCsv(['name', 'nights', 'from'], [
+            { name: 'Flat, "centre"', nights: 3, from: new Date('2030-06-13T00:00:00Z') },
+            { name: 'Two\nlines', nights: null }
+        ]);
+
+        assert.strictEqual(csv, [
+            'name,nights,from',
+            '"Flat, ""centre""",3,2030-06-13T00:00:00.000Z',
+            '"Two\nlines",,',
+            ''
+        ].join('\r\n'));
+    });
+
+    it('escapes text that spreadsheets would run as a formula, but not numbers', () => {
+        const csv = toCsv(['value'], [{ value: '=HYPERLINK("x")' }, { value: '@SUM(A1)' }, { value: -12.5 }]);
+
+        assert.strictEqual(csv, 'value\r\n"\'=HYPERLINK(""x"")"\r\n\'@SUM(A1)\r\n-12.5\r\n');
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads rows keyed by the header, skipping blank lines and a byte order mark', () => {
+        const rows = parseCsv('\uFEFF name , city\n\nFlat,Lyon\r\n"Loft, top floor",\n');
+
+        assert.deepStrictEqual(rows, [{ name: 'Flat', city: 'Lyon' }, { name: 'Loft, top floor', city: '' }]);
+    });
+
+    it('reads back what toCsv writes', () => {
+        const rows = [
+            { name: 'Flat, "centre"', note: 'Two\r\nlines' },
+            { name: '=1+1', note: "'+already quoted" }
+        ];
+
+        assert.deepStrictEqual(parseCsv(toCsv(['name', 'note'], rows)), rows);
+    });
+
+    it('rejects an unterminated quoted field', () => {
+        assert.throws(() => parseCsv('name\n"Flat'), /Unterminated quoted field/);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildCalendarFeed, parseCalendar } = require('../utils/ical');
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('buildCalendarFeed', () => {
+    const feed = buildCalendarFeed({
+        name: 'Flat, city centre',
+        events: [{
+            uid: 'reservation-1@example.com',
+            start: new Date('2030-06-13T15:00:00Z'),
+            end: new Date('2030-06-17T10:00:00Z'),
+            summary: `Booked; ${'long stay '.repeat(10)}`
+        }],
+        now: new Date('2030-06-01T08:30:00.123Z')
+    });
+
+    it('writes all-day events with escaped text and CRLF line endings', () => {
+        assert.match(feed, /^BEGIN:VCALENDAR\r\n/);
+        assert.match(feed, /\r\nX-WR-CALNAME:Flat\\, city centre\r\n/);
+        assert.match(feed, /\r\nDTSTAMP:20300601T083000Z\r\n/);
+        assert.match(feed, /\r\nDTSTART;VALUE=DATE:20300613\r\nDTEND;VALUE=DATE:20300617\r\n/);
+        assert.match(feed, /END:VCALENDAR\r\n$/);
+    });
+
+    it('folds lines longer than 75 characters', () => {
+        const lines = feed.split('\r\n');
+
+        assert.ok(lines.every((line) => line.length <= 75));
+        assert.ok(lines.some((line) => line.startsWith(' ')));
+    });
+
+    it('reads back the events it writes', () => {
+        const [event] = parseCalendar(feed);
+
+        assert.deepStrictEqual(event, {
+            uid: 'reservation-1@example.com',
+            start: new Date('2030-06-13T00:00:00Z'),
+            end: new Date('2030-06-17T00:00:00Z'),
+            summary: `Booked; ${'long stay '.repeat(10)}`
+        });
+    });
+});
+
+describe('parseCalendar', () => {
+    it('rejects documents that are not calendars', () => {
+        assert.throws(() => parseCalendar('<html></html>'), /Not an iCalendar file/);
+    });
+
+    it('reads date-times as UTC and gives events without an end one day', () => {
+        const events = parseCalendar(calendar(
+            'BEGIN:VEVENT',
+            'UID:a',
+            'DTSTART;TZID="Europe/Paris":20300613T140000',
+            'DTEND:20300614T100000Z',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:b',
+            'DTSTART;VALUE=DATE:20300620',
+            'END:VEVENT'
+        ));
+
+        assert.deepStrictEqual(events.map((event) => [event.uid, event.start.toISOString(), event.end.toISOString()]), [
+            ['a', '2030-06-13T14:00:00.000Z', '2030-06-14T10:00:00.000Z'],
+            ['b', '2030-06-20T00:00:00.000Z', '2030-06-21T00:00:00.000Z']
+        ]);
+    });
+
+    it('skips cancelled events and events without a valid start', () => {
+        const events = parseCalendar(calendar(
+            'BEGIN:VEVENT',
+            'UID:cancelled',
+            'DTSTART;VALUE=DATE:20300613',
+            'STATUS:CANCELLED',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:no-start',
+            'DTSTART:next tuesday',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:kept',
+            'DTSTART;VALUE=DATE:20300613',
+            'END:VEVENT'
+        ));
+
+        assert.deepStrictEqual(events.map((event) => event.uid), ['kept']);
+    });
+});
@@ -0,0 +1,157 @@
+// The scheduler's time windows, checked without a database: the models it reads and writes
+// are replaced by in-memory rows, filtered with the where clauses the scheduler builds.
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Reservation, User, Notification, Op } = require('../sequelize');
+const {
+    CHECK_IN_REMINDER_HOURS,
+    REVIEW_PROMPT_DAYS,
+    NEW_REQUEST_HOURS,
+    runNotificationScheduler,
+    scheduleNotifications
+} = require('../utils/notificationScheduler');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2030-06-15T12:00:00Z');
+const at = (hours) => new Date(NOW.getTime() + hours * HOUR);
+
+const COMPARISONS = {
+    [Op.gt]: (value, bound) => value > bound,
+    [Op.lt]: (value, bound) => value < bound,
+    [Op.lte]: (value, bound) => value <= bound
+};
+
+// Whether a row satisfies a where clause of plain values and the comparisons above;
+// '$Model.field$' keys read the field of an included row
+const matches = (row, where) => Object.entries(where).every(([field, condition]) => {
+    const path = field.match(/^\$(\w+)\.(\w+)\$$/);
+    const value = path ? (row[path[1]] ? row[path[1]][path[2]] : null) : row[field];
+    if (condition === null || typeof condition !== 'object') {
+        return value === condition;
+    }
+    return Object.getOwnPropertySymbols(condition).every((op) => COMPARISONS[op](value, condition[op]));
+});
+
+const property = { id: 1, name: 'Harbour flat', ownerId: 100 };
+let nextId;
+let reservations;
+let notifications;
+
+const reservation = (fields) => {
+    const row = { id: nextId++, UserId: 200, PropertyId: property.id, Property: property, Review: null, ...fields };
+    reservations.push(row);
+    return row;
+};
+
+const notificationsOf = (type) => notifications.filter((notification) => notification.type === type);
+
+describe('runNotificationScheduler', () => {
+    beforeEach(() => {
+        nextId = 1;
+        reservations = [];
+        notifications = [];
+        mock.method(Reservation, 'findAll', async ({ where }) => reservations.filter((row) => matches(row, where)));
+        mock.method(User, 'findByPk', async (id) => ({ id, notificationPreferences: null }));
+        mock.method(Notification, 'count', async ({ where }) => notifications.filter((row) => matches(row, where)).length);
+        mock.method(Notification, 'create', async (fields) => {
+            notifications.push(fields);
+            return fields;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reminds guests of confirmed stays starting within the reminder window', async () => {
+        const soon = reservation({ status: 'confirmed', arrivalTime: at(CHECK_IN_REMINDER_HOURS) });
+        reservation({ status: 'confirmed', arrivalTime: at(CHECK_IN_REMINDER_HOURS + 1) });
+        reservation({ status: 'confirmed', arrivalTime: NOW });
+        reservation({ status: 'pending', arrivalTime: at(1) });
+
+        const result = await runNotificationScheduler(NOW);
+
+        assert.strictEqual(result.checkInReminders, 1);
+        assert.deepStrictEqual(
+            notificationsOf('reservation.check_in_reminder').map((notification) => [notification.UserId, notification.key]),
+            [[soon.UserId, `reservation.check_in_reminder:${soon.id}`]]
+        );
+    });
+
+    it('asks for reviews of completed stays that ended within the review window', async () => {
+        const recent = reservation({ status: 'completed', departureTime: at(-REVIEW_PROMPT_DAYS * 24 + 1) });
+        reservation({ status: 'completed', departureTime: at(-REVIEW_PROMPT_DAYS * 24) });
+        reservation({ status: 'completed', departureTime: at(1) });
+        reservation({ status: 'completed', departureTime: at(-1), Review: { id: 7 } });
+        reservation({ status: 'checked_in', departureTime: at(-1) });
+
+        const result = await runNotificationScheduler(NOW);
+
+        assert.strictEqual(result.reviewPrompts, 1);
+        assert.deepStrictEqual(
+            notificationsOf('reservation.review_prompt').map((notification) => notification.key),
+            [`reservation.review_prompt:${recent.id}`]
+        );
+    });
+
+    it('alerts hosts about pending requests made within the new-request window', async () => {
+        const fresh = reservation({
+            status: 'pending',
+            createdAt: at(-NEW_REQUEST_HOURS + 1),
+            arrivalTime: at(48),
+            departureTime: at(96)
+        });
+        reservation({ status: 'pending', createdAt: at(-NEW_REQUEST_HOURS), arrivalTime: at(48), departureTime: at(96) });
+        reservation({ status: 'confirmed', createdAt: at(-1), arrivalTime: at(48), departureTime: at(96) });
+
+        const result = await runNotificationScheduler(NOW);
+
+        assert.strictEqual(result.newRequestAlerts, 1);
+        const [alert] = notificationsOf('reservation.new_request');
+        assert.strictEqual(alert.UserId, property.ownerId);
+        assert.strictEqual(alert.key, `reservation.new_request:${fresh.id}`);
+        assert.match(alert.message, /from 2030-06-17 to 2030-06-19/);
+    });
+
+    it('creates each notification only once across repeated runs', async () => {
+        reservation({ status: 'confirmed', arrivalTime: at(2) });
+        reservation({ status: 'completed', departureTime: at(-2) });
+        reservation({ status: 'pending', createdAt: at(-2), arrivalTime: at(48), departureTime: at(96) });
+
+        const first = await runNotificationScheduler(NOW);
+        const second = await runNotificationScheduler(at(1));
+
+        assert.deepStrictEqual(first, { checkInReminders: 1, reviewPrompts: 1, newRequestAlerts: 1 });
+        assert.deepStrictEqual(second, { checkInReminders: 0, reviewPrompts: 0, newRequestAlerts: 0 });
+        assert.strictEqual(notifications.length, 3);
+        assert.strictEqual(new Set(notifications.map((notification) => notification.key)).size, 3);
+    });
+});
+
+describe('scheduleNotifications', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('runs the scheduler with the time of its clock', async () => {
+        let timer;
+        const windows = [];
+        const checked = new Promise((resolve) => {
+            mock.method(Reservation, 'findAll', async ({ where }) => {
+                windows.push(where);
+                if (windows.length === 3) {
+                    clearInterval(timer);
+                    resolve();
+                }
+                return [];
+            });
+        });
+
+        // The scheduler's timer does not keep the process alive, but the test has to wait for it
+        timer = scheduleNotifications(1, { clock: () => NOW }).ref();
+        await checked;
+
+        assert.deepStrictEqual(windows[0].arrivalTime, { [Op.gt]: NOW, [Op.lte]: at(CHECK_IN_REMINDER_HOURS) });
+        assert.deepStrictEqual(windows[2].createdAt, { [Op.lte]: NOW, [Op.gt]: at(-NEW_REQUEST_HOURS) });
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { SeasonalRate, StayDiscount } = require('../sequelize');
+const { calculateQuote, quoteStay } = require('../utils/pricing');
+
+// Thursday 13 June to Monday 17 June 2030: Thursday, Friday, Saturday and Sunday nights
+const checkIn = new Date('2030-06-13T15:00:00Z');
+const checkOut = new Date('2030-06-17T10:00:00Z');
+const party = { adults: 3, children: 0, infants: 0, pets: 0 };
+const property = {
+    id: 1,
+    price: 100,
+    weekendPrice: 150,
+    capacity: 4,
+    includedGuests: 2,
+    extraGuestFee: 10,
+    cleaningFee: 25
+};
+
+describe('calculateQuote', () => {
+    it('itemizes nights, the largest reached discount, extra guests and cleaning', () => {
+        const quote = calculateQuote({
+            property,
+            discounts: [
+                { minNights: 3, percent: 5 },
+                { minNights: 4, percent: 10 },
+                { minNights: 7, percent: 20 }
+            ],
+            checkIn,
+            checkOut,
+            party
+        });
+
+        assert.deepStrictEqual(quote.nights.map((night) => [night.date, night.price, night.weekend]), [
+            ['2030-06-13', 100, false],
+            ['2030-06-14', 150, true],
+            ['2030-06-15', 150, true],
+            ['2030-06-16', 100, false]
+        ]);
+        assert.strictEqual(quote.accommodation, 500);
+        assert.deepStrictEqual(quote.discount, { minNights: 4, percent: 10, amount: 50 });
+        assert.deepStrictEqual(quote.extraGuestFee, { extraGuests: 1, perGuestPerNight: 10, amount: 40 });
+        assert.strictEqual(quote.cleaningFee, 25);
+        assert.strictEqual(quote.total, 515);
+    });
+
+    it('prices nights covered by seasonal rates at the most recently created one', () => {
+        const quote = calculateQuote({
+            property,
+            seasonalRates: [
+                { id: 2, name: 'Late summer', startTime: '2030-06-16', endTime: '2030-06-17', nightlyPrice: 120, weekendPrice: 180 },
+                { id: 1, name: 'Summer', startTime: '2030-06-15', endTime: '2030-06-17', nightlyPrice: 200, weekendPrice: null }
+            ],
+            checkIn,
+            checkOut,
+            party: { ...party, adults: 2 }
+        });
+
+        assert.deepStrictEqual(quote.nights.map((night) => [night.price, night.source]), [
+            [100, 'base'],
+            [150, 'base'],
+            [200, 'Summer'],
+            [120, 'Late summer']
+        ]);
+        assert.strictEqual(quote.discount, null);
+        assert.strictEqual(quote.total, 595);
+    });
+
+    it('charges at least one night', () => {
+        const quote = calculateQuote({ property, checkIn, checkOut: checkIn, party });
+
+        assert.strictEqual(quote.nightCount, 1);
+    });
+});
+
+describe('quoteStay', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("quotes with the property's seasonal rates and discounts", async () => {
+        const transaction = {};
+        const findRates = mock.method(SeasonalRate, 'findAll', async () => [
+            { id: 1, startTime: '2030-06-13', endTime: '2030-06-14', nightlyPrice: 90, weekendPrice: null }
+        ]);
+        const findDiscounts = mock.method(StayDiscount, 'findAll', async () => [{ minNights: 4, percent: 10 }]);
+
+        const quote = await quoteStay(property, checkIn, checkOut, party, { transaction });
+
+        assert.deepStrictEqual(findRates.mock.calls[0].arguments, [{ where: { PropertyId: 1 }, transaction }]);
+        assert.deepStrictEqual(findDiscounts.mock.calls[0].arguments, [{ where: { PropertyId: 1 }, transaction }]);
+        assert.strictEqual(quote.accommodation, 490);
+        assert.strictEqual(quote.discount.amount, 49);
+        assert.strictEqual(quote.total, 506);
+    });
+});
@@ -0,0 +1,104 @@
+// Parallel bookings of the same dates against a real MySQL database: the property row lock
+// must let exactly one of them through. Point DB_NAME, DB_USER, DB_PASS and DB_HOST at a
+// database used only for tests; the schema is migrated and the test's rows removed afterwards.
+// The test is skipped when DB_NAME is not set or the database cannot be reached.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+require('dotenv').config();
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const PARALLEL_BOOKINGS = 8;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('POST /reservations under concurrency', { skip: !process.env.DB_NAME && 'DB_NAME is not set' }, () => {
+    let sequelize;
+    let User;
+    let Property;
+    let Reservation;
+    let server;
+    let baseUrl;
+    let host;
+    let property;
+    let guests;
+    let tokens;
+    let unreachable;
+
+    before(async () => {
+        ({ sequelize, User, Property, Reservation } = require('../sequelize'));
+        try {
+            await sequelize.authenticate();
+        } catch (error) {
+            unreachable = `the database is unreachable: ${error.message}`;
+            return;
+        }
+        const { migrate } = require('../utils/migrations');
+        const { issueTokens } = require('../utils/tokens');
+        const app = require('../app');
+
+        await migrate();
+
+        const stamp = `${Date.now()}-${process.pid}`;
+        const account = (role, index) => ({
+            email: `concurrency-${stamp}-${role}${index}@example.com`,
+            password: 'not-used',
+            firstName: 'Test',
+            lastName: role,
+            phoneNumber: '+15550000000',
+            role,
+            emailVerified: true
+        });
+        host = await User.create(account('host', 0));
+        property = await Property.create({
+            name: 'Concurrency test flat',
+            address: '1 Test Street',
+            city: 'Testville',
+            price: 100,
+            capacity: 2,
+            ownerId: host.id
+        });
+        guests = await Promise.all(Array.from({ length: PARALLEL_BOOKINGS }, (_, index) => User.create(account('guest', index))));
+        tokens = await Promise.all(guests.map(async (guest) => (await issueTokens(guest)).token));
+
+        server = app.listen(0);
+        await new Promise((resolve) => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        if (server) {
+            await new Promise((resolve) => server.close(resolve));
+        }
+        if (host) {
+            // Properties, reservations, payments and sessions go with their users
+            await User.destroy({ where: { id: [host, ...(guests || [])].map((user) => user.id) } });
+        }
+        if (sequelize) {
+            await sequelize.close();
+        }
+    });
+
+    it('accepts exactly one of several parallel bookings for the same dates', async (t) => {
+        if (unreachable) {
+            t.skip(unreachable);
+            return;
+        }
+        const arrival = new Date(Date.now() + 60 * DAY);
+        const body = JSON.stringify({
+            propertyId: property.id,
+            arrivalTime: arrival.toISOString(),
+            departureTime: new Date(arrival.getTime() + 3 * DAY).toISOString(),
+            adults: 1
+        });
+
+        const responses = await Promise.all(tokens.map((token) => fetch(`${baseUrl}/reservations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body
+        })));
+        const statuses = responses.map((response) => response.status).sort();
+
+        assert.deepStrictEqual(statuses, [201, ...Array(PARALLEL_BOOKINGS - 1).fill(409)]);
+        assert.strictEqual(await Reservation.count({ where: { PropertyId: property.id } }), 1);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { signPayload, verifySignature } = require('../utils/signature');
+
+const secret = 'whsec_test';
+const payload = JSON.stringify({ event: 'reservation.confirmed', data: { id: 1 } });
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('signPayload', () => {
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+        const expected = crypto.createHmac('sha256', secret).update(`1900000000.${payload}`).digest('hex');
+
+        assert.strictEqual(signPayload(payload, secret, 1900000000), `t=1900000000,v1=${expected}`);
+    });
+
+    it('produces signatures that verifySignature accepts', () => {
+        assert.doesNotThrow(() => verifySignature(payload, signPayload(payload, secret), secret));
+    });
+});
+
+describe('verifySignature', () => {
+    it('rejects missing and malformed headers', () => {
+        assert.throws(() => verifySignature(payload, undefined, secret), /Missing webhook signature/);
+        assert.throws(() => verifySignature(payload, 'v1=abc', secret), /Malformed webhook signature/);
+    });
+
+    it('rejects signatures older than the tolerance', () => {
+        const header = signPayload(payload, secret, now() - 10 * 60);
+
+        assert.throws(() => verifySignature(payload, header, secret), /expired/);
+        assert.doesNotThrow(() => verifySignature(payload, header, secret, { tolerance: 15 * 60 }));
+    });
+
+    it('rejects another body or secret', () => {
+        const header = signPayload(payload, secret);
+
+        assert.throws(() => verifySignature(`${payload} `, header, secret), /does not match/);
+        assert.throws(() => verifySignature(payload, header, 'whsec_other'), /does not match/);
+    });
+});
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ActionToken } = require('../sequelize');
+require('dotenv').config();
+
+// How long each kind of emailed link stays valid
+const TTL_MINUTES = {
+    verify_email: 24 * 60,
+    reset_password: 30
+};
+
+// Signs a token allowing `purpose` for the user. The token id is stored so that it
+// can be used only once.
+const createActionToken = async (user, purpose) => {
+    const id = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + TTL_MINUTES[purpose] * 60 * 1000);
+    await ActionToken.create({ id, purpose, expiresAt, UserId: user.id });
+    return jwt.sign({ userId: user.id, purpose }, process.env.JWT_SECRET, {
+        jwtid: id,
+        expiresIn: TTL_MINUTES[purpose] * 60
+    });
+};
+
+// Verifies the token for `purpose` and marks it used. Returns the user id, or null
+// when the token is invalid, expired, meant for something else or already used.
+const consumeActionToken = async (token, purpose, { transaction } = {}) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (ex) {
+        return null;
+    }
+    if (decoded.purpose !== purpose || !decoded.jti) {
+        return null;
+    }
+
+    const [used] = await ActionToken.update(
+        { usedAt: new Date() },
+        { where: { id: decoded.jti, purpose, UserId: decoded.userId, usedAt: null }, transaction }
+    );
+    return used === 1 ? decoded.userId : null;
+};
+
+module.exports = { createActionToken, consumeActionToken };
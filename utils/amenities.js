@@ -0,0 +1,40 @@
+const { Amenity } = require('../sequelize');
+
+// Mirrors the propertyType enum of the Property model
+const PROPERTY_TYPES = ['apartment', 'house', 'villa', 'cabin', 'cottage', 'studio', 'other'];
+
+// Catalog every installation starts with; admins can add more through POST /amenities
+const DEFAULT_AMENITIES = [
+    { key: 'wifi', name: 'Wi-Fi' },
+    { key: 'parking', name: 'Free parking' },
+    { key: 'pool', name: 'Pool' },
+    { key: 'kitchen', name: 'Kitchen' },
+    { key: 'air-conditioning', name: 'Air conditioning' },
+    { key: 'heating', name: 'Heating' },
+    { key: 'washer', name: 'Washer' },
+    { key: 'tv', name: 'TV' },
+    { key: 'workspace', name: 'Dedicated workspace' },
+    { key: 'hot-tub', name: 'Hot tub' }
+];
+
+const ensureDefaultAmenities = async () => {
+    for (const amenity of DEFAULT_AMENITIES) {
+        await Amenity.findOrCreate({ where: { key: amenity.key }, defaults: amenity });
+    }
+};
+
+// Splits a comma-separated list of amenity keys, e.g. "wifi,pool"
+const parseAmenityKeys = (value) => String(value || '')
+    .split(',')
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+
+// Looks up the catalog entries for a list of keys; unknown lists the keys that are not in the catalog
+const resolveAmenities = async (keys, { transaction } = {}) => {
+    const wanted = [...new Set(keys.map((key) => key.trim().toLowerCase()))];
+    const amenities = wanted.length > 0 ? await Amenity.findAll({ where: { key: wanted }, transaction }) : [];
+    const known = new Set(amenities.map((amenity) => amenity.key));
+    return { amenities, unknown: wanted.filter((key) => !known.has(key)) };
+};
+
+module.exports = { PROPERTY_TYPES, DEFAULT_AMENITIES, ensureDefaultAmenities, parseAmenityKeys, resolveAmenities };
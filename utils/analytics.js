@@ -0,0 +1,125 @@
+const { Reservation, BlockedPeriod } = require('../sequelize');
+const { overlapping } = require('./overlap');
+const { DAY, startOfDay, coversNight } = require('./availability');
+
+// Reservations that hold nights and bring revenue; pending requests are not booked yet
+const BOOKED_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Calendar month of a night, e.g. 2024-07
+const monthOf = (night) => new Date(night).toISOString().slice(0, 7);
+
+// Number of nights a stay covers, as counted by coversNight
+const nightsOf = (reservation) => Math.max(
+    Math.round((startOfDay(reservation.departureTime) - startOfDay(reservation.arrivalTime)) / DAY),
+    1
+);
+
+const emptyStats = () => ({
+    nights: 0,
+    blockedNights: 0,
+    bookedNights: 0,
+    revenue: 0,
+    reservations: 0,
+    leadTimeDays: 0
+});
+
+// Turns the sums of a month or a whole period into the reported figures. Occupancy
+// is the share of the nights not blocked by the host that were booked, the average
+// daily rate is the revenue per booked night and the lead time is the average number
+// of days between booking and arrival.
+const report = (stats) => {
+    const availableNights = stats.nights - stats.blockedNights;
+    return {
+        availableNights,
+        blockedNights: stats.blockedNights,
+        bookedNights: stats.bookedNights,
+        occupancyRate: availableNights > 0 ? round(stats.bookedNights / availableNights, 4) : null,
+        averageDailyRate: stats.bookedNights > 0 ? round(stats.revenue / stats.bookedNights, 2) : null,
+        revenue: round(stats.revenue, 2),
+        reservations: stats.reservations,
+        averageLeadTimeDays: stats.reservations > 0 ? round(stats.leadTimeDays / stats.reservations, 1) : null
+    };
+};
+
+const addStats = (target, source) => {
+    Object.keys(target).forEach((field) => {
+        target[field] += source[field];
+    });
+};
+
+// Performance of the properties night by night from `from` up to (not including) `to`,
+// summed per calendar month and over the whole period. The price of a stay is spread
+// evenly over its nights; reservations count in the month of their arrival.
+const propertyAnalytics = async (properties, from, to) => {
+    const start = startOfDay(from);
+    const end = startOfDay(to);
+    const propertyIds = properties.map((property) => property.id);
+
+    const reservations = await Reservation.findAll({
+        where: {
+            PropertyId: propertyIds,
+            status: BOOKED_STATUSES,
+            ...overlapping(start, end)
+        }
+    });
+    const blockedPeriods = await BlockedPeriod.findAll({
+        where: {
+            PropertyId: propertyIds,
+            ...overlapping(start, end, { start: 'startTime', end: 'endTime' })
+        }
+    });
+
+    return properties.map((property) => {
+        const stays = reservations.filter((r) => r.PropertyId === property.id);
+        const blocked = blockedPeriods.filter((b) => b.PropertyId === property.id);
+        const months = new Map();
+        const monthStats = (night) => {
+            const month = monthOf(night);
+            if (!months.has(month)) {
+                months.set(month, emptyStats());
+            }
+            return months.get(month);
+        };
+
+        for (let night = start.getTime(); night < end.getTime(); night += DAY) {
+            const stats = monthStats(night);
+            stats.nights += 1;
+            const stay = stays.find((r) => coversNight(r.arrivalTime, r.departureTime, night));
+            if (stay) {
+                stats.bookedNights += 1;
+                stats.revenue += (stay.totalPrice || 0) / nightsOf(stay);
+            } else if (blocked.some((b) => coversNight(b.startTime, b.endTime, night))) {
+                stats.blockedNights += 1;
+            }
+        }
+
+        stays.filter((r) => new Date(r.arrivalTime) >= start && new Date(r.arrivalTime) < end).forEach((r) => {
+            const stats = monthStats(startOfDay(r.arrivalTime).getTime());
+            stats.reservations += 1;
+            stats.leadTimeDays += Math.max(new Date(r.arrivalTime) - new Date(r.createdAt), 0) / DAY;
+        });
+
+        const total = emptyStats();
+        months.forEach((stats) => addStats(total, stats));
+        return {
+            propertyId: property.id,
+            name: property.name,
+            months: [...months.entries()].map(([month, stats]) => ({ month, ...report(stats) })),
+            total: report(total)
+        };
+    });
+};
+
+// Columns of the CSV export, one line per property and month
+const ANALYTICS_COLUMNS = [
+    'propertyId', 'name', 'month', 'availableNights', 'blockedNights', 'bookedNights',
+    'occupancyRate', 'averageDailyRate', 'revenue', 'currency', 'reservations', 'averageLeadTimeDays'
+];
+
+const analyticsRows = (analytics, currency) => analytics.flatMap(({ propertyId, name, months }) => (
+    months.map((month) => ({ propertyId, name, ...month, currency }))
+));
+
+module.exports = { BOOKED_STATUSES, propertyAnalytics, ANALYTICS_COLUMNS, analyticsRows };
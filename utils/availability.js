@@ -0,0 +1,100 @@
+const { sequelize, Property, Reservation, BlockedPeriod, Op, Transaction } = require('../sequelize');
+const { overlapping } = require('./overlap');
+const { INACTIVE_STATUSES } = require('./reservationStatus');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of the UTC day containing the given date
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+// A period covers the nights from its first day up to (not including) its last day,
+// and at least the night of its first day
+const coversNight = (periodStart, periodEnd, night) => {
+    const firstNight = startOfDay(periodStart).getTime();
+    const lastDay = Math.max(startOfDay(periodEnd).getTime(), firstNight + DAY);
+    return firstNight <= night && night < lastDay;
+};
+
+// Why the property cannot be booked for [arrivalTime, departureTime):
+// 'booked' for an overlapping active reservation, 'blocked' for a host blocked period, null if free
+const findConflict = async (propertyId, arrivalTime, departureTime, { excludeReservationId, transaction } = {}) => {
+    const reservationFilter = {
+        PropertyId: propertyId,
+        status: { [Op.notIn]: INACTIVE_STATUSES },
+        ...overlapping(arrivalTime, departureTime)
+    };
+    if (excludeReservationId) {
+        reservationFilter.id = { [Op.ne]: excludeReservationId };
+    }
+    if (await Reservation.count({ where: reservationFilter, transaction }) > 0) {
+        return 'booked';
+    }
+
+    const blockedCount = await BlockedPeriod.count({
+        where: {
+            PropertyId: propertyId,
+            ...overlapping(arrivalTime, departureTime, { start: 'startTime', end: 'endTime' })
+        },
+        transaction
+    });
+    return blockedCount > 0 ? 'blocked' : null;
+};
+
+// Transaction for checking and changing a property's bookings. Read committed lets
+// the overlap check see bookings committed while it waited for the property lock.
+const startBookingTransaction = () => sequelize.transaction({
+    isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED
+});
+
+// Loads the property with a row lock held until the transaction ends, so bookings
+// of the same property are checked and written one at a time
+const lockProperty = (propertyId, transaction) => Property.findByPk(propertyId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+});
+
+// Day-by-day calendar of the nights from `from` up to (not including) `to`
+const buildCalendar = async (propertyId, from, to) => {
+    const start = startOfDay(from);
+    const end = startOfDay(to);
+
+    const reservations = await Reservation.findAll({
+        where: {
+            PropertyId: propertyId,
+            status: { [Op.notIn]: INACTIVE_STATUSES },
+            ...overlapping(start, end)
+        }
+    });
+    const blockedPeriods = await BlockedPeriod.findAll({
+        where: {
+            PropertyId: propertyId,
+            ...overlapping(start, end, { start: 'startTime', end: 'endTime' })
+        }
+    });
+
+    const nights = [];
+    for (let night = start.getTime(); night < end.getTime(); night += DAY) {
+        let status = 'free';
+        if (reservations.some((r) => coversNight(r.arrivalTime, r.departureTime, night))) {
+            status = 'booked';
+        } else if (blockedPeriods.some((b) => coversNight(b.startTime, b.endTime, night))) {
+            status = 'blocked';
+        }
+        nights.push({ date: new Date(night).toISOString().slice(0, 10), status });
+    }
+    return nights;
+};
+
+module.exports = {
+    DAY,
+    startOfDay,
+    coversNight,
+    findConflict,
+    startBookingTransaction,
+    lockProperty,
+    buildCalendar
+};
@@ -0,0 +1,339 @@
+const { validationResult } = require('express-validator');
+const { sequelize, User, Property, Reservation, Amenity, Op } = require('../sequelize');
+const { validateProperty, validateReservation } = require('../middleware/middleware');
+const { parseAmenityKeys, resolveAmenities } = require('./amenities');
+const { locate } = require('./geo');
+const { findConflict, startBookingTransaction, lockProperty } = require('./availability');
+const { quoteStay } = require('./pricing');
+const { tiersFor } = require('./cancellation');
+const { partyFrom, houseRuleViolations } = require('./guests');
+const { recordCreation } = require('./reservationStatus');
+const { publishReservationEvent } = require('./webhooks');
+const { parseCsv } = require('./csv');
+
+// Largest number of rows accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns of the CSV files, in the order they are exported. Exports can be imported again:
+// id and the other read-only columns are ignored when importing.
+const PROPERTY_COLUMNS = [
+    'id', 'name', 'address', 'city', 'price', 'capacity', 'propertyType', 'bedrooms', 'beds', 'bathrooms',
+    'latitude', 'longitude', 'weekendPrice', 'cleaningFee', 'extraGuestFee', 'includedGuests', 'petsAllowed',
+    'maxInfants', 'cancellationPolicy', 'cancellationTiers', 'amenities', 'listed', 'averageRating', 'reviewCount'
+];
+const RESERVATION_COLUMNS = [
+    'id', 'propertyId', 'propertyName', 'guestEmail', 'arrivalTime', 'departureTime', 'adults', 'children',
+    'infants', 'pets', 'status', 'totalPrice', 'createdAt'
+];
+
+// Statuses an imported reservation may have, e.g. stays already confirmed on another platform
+const IMPORT_STATUSES = ['pending', 'confirmed', 'checked_in', 'completed'];
+
+// CSV cells are strings: empty cells are left out, and lists and tiers are turned back into arrays
+const fromCsvRecord = (record) => {
+    const row = {};
+    Object.entries(record).forEach(([column, value]) => {
+        if (value.trim() === '') {
+            return;
+        }
+        if (column === 'amenities') {
+            row.amenities = parseAmenityKeys(value);
+        } else if (column === 'cancellationTiers') {
+            try {
+                row.cancellationTiers = JSON.parse(value);
+            } catch (error) {
+                row.cancellationTiers = value;
+            }
+        } else {
+            row[column] = value.trim();
+        }
+    });
+    return row;
+};
+
+// Rows of an import request or file: a JSON array (or { rows: [...] }) or a CSV document.
+// Throws with a message for the user when the rows cannot be read.
+const parseRows = (payload, format) => {
+    let rows;
+    if (format === 'csv') {
+        rows = parseCsv(String(payload || '')).map(fromCsvRecord);
+    } else {
+        rows = Array.isArray(payload) ? payload : payload && payload.rows;
+    }
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new Error('Send the rows as a non-empty JSON array or CSV document.');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`An import can have at most ${MAX_IMPORT_ROWS} rows.`);
+    }
+    if (rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw new Error('Every row must be an object.');
+    }
+    return rows;
+};
+
+// Runs the checks of a route's validator array against a row, as if it were a request
+// body. Returns express-validator's list of errors.
+const runValidators = async (validators, row) => {
+    const req = { body: row };
+    for (const validator of validators) {
+        if (typeof validator.run === 'function') {
+            await validator.run(req);
+        }
+    }
+    return validationResult(req).array();
+};
+
+const fieldError = (path, msg) => ({ type: 'field', msg, path, location: 'body' });
+
+const summarize = (results, dryRun) => {
+    const valid = results.every((result) => result.errors.length === 0);
+    return {
+        dryRun,
+        valid,
+        imported: valid && !dryRun ? results.length : 0,
+        rows: results
+    };
+};
+
+// Creates a property for every row, owned by ownerId, with the same rules as POST /properties.
+// All rows are created or, when any row is invalid or on a dry run, none; the report lists
+// the errors (or the new id) of every row.
+const importProperties = async (rows, ownerId, { dryRun = false } = {}) => {
+    const results = [];
+    for (const [index, row] of rows.entries()) {
+        const errors = await runValidators(validateProperty, row);
+        const { amenities, unknown } = await resolveAmenities(Array.isArray(row.amenities) ? row.amenities : []);
+        if (unknown.length > 0) {
+            errors.push(fieldError('amenities', `Unknown amenities: ${unknown.join(', ')}.`));
+        }
+        results.push({ row: index + 1, errors, amenities });
+    }
+
+    const report = summarize(results.map(({ row, errors }) => ({ row, errors })), dryRun);
+    if (!report.valid || dryRun) {
+        return report;
+    }
+
+    // Addresses are geocoded before the transaction so it is not held open during lookups
+    const coordinates = [];
+    for (const row of rows) {
+        coordinates.push(await locate(row));
+    }
+
+    const properties = await sequelize.transaction(async (transaction) => {
+        const created = [];
+        for (const [index, row] of rows.entries()) {
+            const property = await Property.create({
+                name: row.name,
+                address: row.address,
+                city: row.city,
+                price: row.price,
+                capacity: row.capacity,
+                propertyType: row.propertyType,
+                bedrooms: row.bedrooms,
+                beds: row.beds,
+                bathrooms: row.bathrooms,
+                ...coordinates[index],
+                weekendPrice: row.weekendPrice,
+                cleaningFee: row.cleaningFee,
+                extraGuestFee: row.extraGuestFee,
+                includedGuests: row.includedGuests,
+                petsAllowed: row.petsAllowed === undefined ? undefined : ['true', '1', true, 1].includes(row.petsAllowed),
+                maxInfants: row.maxInfants,
+                cancellationPolicy: row.cancellationPolicy,
+                cancellationTiers: row.cancellationPolicy === 'custom' ? row.cancellationTiers : null,
+                ownerId
+            }, { transaction });
+            await property.setAmenities(results[index].amenities, { transaction });
+            created.push(property);
+        }
+        return created;
+    });
+    report.rows.forEach((result, index) => {
+        result.id = properties[index].id;
+    });
+    return report;
+};
+
+// Checks one reservation row against its property and the rows imported before it;
+// returns the errors, and what is needed to create it when there are none
+const checkReservationRow = async (row, user, { transaction, lockedProperties }) => {
+    const errors = await runValidators(validateReservation, row);
+    if (row.status !== undefined && !IMPORT_STATUSES.includes(row.status)) {
+        errors.push(fieldError('status', `Status must be one of ${IMPORT_STATUSES.join(', ')}`));
+    }
+    if (row.totalPrice !== undefined && !(Number(row.totalPrice) >= 0)) {
+        errors.push(fieldError('totalPrice', 'Total price must be a non-negative number'));
+    }
+    if (!row.guestEmail) {
+        errors.push(fieldError('guestEmail', 'guestEmail is required'));
+    }
+    if (!(parseInt(row.propertyId, 10) > 0)) {
+        errors.push(fieldError('propertyId', 'propertyId must be a positive integer'));
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    const propertyId = parseInt(row.propertyId, 10);
+    // Each property is locked once, like when booking, so the import sees every booking made meanwhile
+    const property = lockedProperties.has(propertyId)
+        ? lockedProperties.get(propertyId)
+        : await lockProperty(propertyId, transaction);
+    lockedProperties.set(propertyId, property);
+    if (!property || (user.role !== 'admin' && property.ownerId !== user.userId)) {
+        return { errors: [fieldError('propertyId', 'Property not found.')] };
+    }
+
+    const guest = await User.findOne({ where: { email: String(row.guestEmail) }, transaction });
+    if (!guest) {
+        return { errors: [fieldError('guestEmail', 'No user has this email address.')] };
+    }
+
+    const arrivalTime = new Date(row.arrivalTime);
+    const departureTime = new Date(row.departureTime);
+    if (departureTime <= arrivalTime) {
+        return { errors: [fieldError('departureTime', 'departureTime must be after arrivalTime.')] };
+    }
+    const party = partyFrom(row);
+    const violations = houseRuleViolations(property, party);
+    if (Object.keys(violations).length > 0) {
+        return { errors: Object.entries(violations).map(([path, msg]) => fieldError(path, msg)) };
+    }
+    const conflict = await findConflict(property.id, arrivalTime, departureTime, { transaction });
+    if (conflict) {
+        return {
+            errors: [fieldError('arrivalTime', `The property is already ${conflict} for these dates.`)]
+        };
+    }
+    return { errors: [], property, guest, arrivalTime, departureTime, party };
+};
+
+// Creates a reservation for every row on properties the user owns (admins: any property),
+// with the same rules as POST /reservations. Imported stays were paid elsewhere, so no
+// payment is taken; without totalPrice they are priced like a new booking. Rows are
+// checked in order, so a row conflicting with an earlier one is reported. All rows are
+// created or, when any row is invalid or on a dry run, none.
+const importReservations = async (rows, user, { dryRun = false } = {}) => {
+    const transaction = await startBookingTransaction();
+    const lockedProperties = new Map();
+    const results = [];
+    try {
+        for (const [index, row] of rows.entries()) {
+            const checked = await checkReservationRow(row, user, { transaction, lockedProperties });
+            const result = { row: index + 1, errors: checked.errors };
+            if (checked.errors.length === 0) {
+                const { property, guest, arrivalTime, departureTime, party } = checked;
+                const quote = await quoteStay(property, arrivalTime, departureTime, party, { transaction });
+                const reservation = await Reservation.create({
+                    PropertyId: property.id,
+                    UserId: guest.id,
+                    arrivalTime,
+                    departureTime,
+                    ...party,
+                    status: row.status || 'confirmed',
+                    totalPrice: row.totalPrice !== undefined ? Number(row.totalPrice) : quote.total,
+                    priceBreakdown: row.totalPrice !== undefined ? null : quote,
+                    cancellationTiers: tiersFor(property)
+                }, { transaction });
+                await recordCreation(reservation, user, { transaction });
+                transaction.afterCommit(() => publishReservationEvent('reservation.created', reservation));
+                result.id = reservation.id;
+            }
+            results.push(result);
+        }
+
+        const report = summarize(results, dryRun);
+        if (report.valid && !dryRun) {
+            await transaction.commit();
+        } else {
+            await transaction.rollback();
+            // Rows of a rolled back import were never created
+            report.rows.forEach((result) => {
+                delete result.id;
+            });
+        }
+        return report;
+    } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
+        throw error;
+    }
+};
+
+// Export row as CSV cells: lists of keys become comma-separated, other structures JSON
+const toCsvRecord = (row) => Object.fromEntries(Object.entries(row).map(([column, value]) => {
+    if (Array.isArray(value) && value.every((item) => typeof item === 'string')) {
+        return [column, value.join(',')];
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return [column, JSON.stringify(value)];
+    }
+    return [column, value];
+}));
+
+// Properties of the host (or of every host when ownerId is not given), as export rows
+const exportProperties = async ({ ownerId } = {}) => {
+    const properties = await Property.findAll({
+        where: ownerId ? { ownerId } : {},
+        include: [{ model: Amenity, as: 'amenities', attributes: ['key'], through: { attributes: [] } }],
+        order: [['id', 'asc']]
+    });
+    return properties.map((property) => ({
+        ...property.get({ plain: true }),
+        amenities: property.amenities.map((amenity) => amenity.key)
+    }));
+};
+
+// Reservations on the host's properties (or on every property when ownerId is not given),
+// optionally only those overlapping [from, to) or with one status, as export rows
+const exportReservations = async ({ ownerId, from, to, status } = {}) => {
+    const filter = {};
+    if (from) {
+        filter.departureTime = { [Op.gt]: new Date(from) };
+    }
+    if (to) {
+        filter.arrivalTime = { [Op.lt]: new Date(to) };
+    }
+    if (status) {
+        filter.status = status;
+    }
+    const reservations = await Reservation.findAll({
+        where: filter,
+        include: [
+            { model: Property, attributes: ['id', 'name', 'ownerId'], where: ownerId ? { ownerId } : undefined },
+            { model: User, attributes: ['email'] }
+        ],
+        order: [['arrivalTime', 'asc'], ['id', 'asc']]
+    });
+    return reservations.map((reservation) => ({
+        id: reservation.id,
+        propertyId: reservation.PropertyId,
+        propertyName: reservation.Property.name,
+        guestEmail: reservation.User.email,
+        arrivalTime: reservation.arrivalTime,
+        departureTime: reservation.departureTime,
+        adults: reservation.adults,
+        children: reservation.children,
+        infants: reservation.infants,
+        pets: reservation.pets,
+        status: reservation.status,
+        totalPrice: reservation.totalPrice,
+        createdAt: reservation.createdAt
+    }));
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    PROPERTY_COLUMNS,
+    RESERVATION_COLUMNS,
+    IMPORT_STATUSES,
+    parseRows,
+    toCsvRecord,
+    importProperties,
+    importReservations,
+    exportProperties,
+    exportReservations
+};
@@ -0,0 +1,145 @@
+const { sequelize, Reservation, BlockedPeriod, CalendarImport, Op } = require('../sequelize');
+const { overlapping } = require('./overlap');
+const { INACTIVE_STATUSES } = require('./reservationStatus');
+const { parseCalendar } = require('./ical');
+const { lockProperty } = require('./availability');
+const { publicRequest, readBody } = require('./outboundRequest');
+
+const MAX_CALENDAR_SIZE = 1024 * 1024;
+const FETCH_TIMEOUT = 15 * 1000;
+
+const toHttpUrl = (url) => url.replace(/^webcal:/i, 'https:');
+
+// Downloads an external calendar; webcal:// links are fetched over https. Hosts pick the URL,
+// so it may only lead to public addresses, and the download stops at MAX_CALENDAR_SIZE.
+const fetchCalendar = async (url) => {
+    const response = await publicRequest(toHttpUrl(url), {
+        headers: { Accept: 'text/calendar' },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT)
+    });
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new Error(`Calendar download failed with status ${response.statusCode}.`);
+    }
+    return readBody(response, MAX_CALENDAR_SIZE);
+};
+
+// Replaces the blocked periods of an import with the events that have not ended yet.
+// Returns how many periods were imported and the active reservations they overlap,
+// which are double bookings the host has to resolve.
+const importEvents = async (calendarImport, events) => {
+    const now = new Date();
+    const periods = events
+        .filter((event) => event.end > now)
+        .map((event) => ({
+            PropertyId: calendarImport.PropertyId,
+            CalendarImportId: calendarImport.id,
+            startTime: event.start,
+            endTime: event.end,
+            reason: 'external',
+            externalUid: event.uid
+        }));
+
+    return sequelize.transaction(async (transaction) => {
+        // Take the booking lock so no reservation is checked against the periods being replaced
+        await lockProperty(calendarImport.PropertyId, transaction);
+        await BlockedPeriod.destroy({ where: { CalendarImportId: calendarImport.id }, transaction });
+        await BlockedPeriod.bulkCreate(periods, { transaction });
+
+        // One query for the whole range the periods span, then the overlaps are checked in memory
+        let conflicts = [];
+        if (periods.length > 0) {
+            const from = periods.reduce(
+                (earliest, period) => (period.startTime < earliest ? period.startTime : earliest),
+                periods[0].startTime
+            );
+            const to = periods.reduce(
+                (latest, period) => (period.endTime > latest ? period.endTime : latest),
+                periods[0].endTime
+            );
+            const reservations = await Reservation.findAll({
+                attributes: ['id', 'arrivalTime', 'departureTime'],
+                where: {
+                    PropertyId: calendarImport.PropertyId,
+                    status: { [Op.notIn]: INACTIVE_STATUSES },
+                    ...overlapping(from, to)
+                },
+                transaction
+            });
+            conflicts = reservations
+                .filter((reservation) => periods.some((period) => (
+                    reservation.arrivalTime < period.endTime && reservation.departureTime > period.startTime
+                )))
+                .map((reservation) => reservation.id);
+        }
+
+        await calendarImport.update({ lastSyncedAt: now, lastError: null }, { transaction });
+        return { imported: periods.length, conflictingReservationIds: conflicts };
+    });
+};
+
+// Imports the events of an iCalendar document, recording the error on the import when it cannot be read
+const importCalendar = async (calendarImport, text) => {
+    let events;
+    try {
+        events = parseCalendar(text);
+    } catch (error) {
+        await calendarImport.update({ lastError: error.message });
+        throw error;
+    }
+    return importEvents(calendarImport, events);
+};
+
+// Downloads and imports the calendar of an import that has a URL
+const syncCalendarImport = async (calendarImport) => {
+    let text;
+    try {
+        text = await fetchCalendar(calendarImport.url);
+    } catch (error) {
+        await calendarImport.update({ lastError: error.message });
+        throw error;
+    }
+    return importCalendar(calendarImport, text);
+};
+
+// Syncs every import that has a URL; one failing calendar does not stop the others
+const syncAllCalendarImports = async () => {
+    const calendarImports = await CalendarImport.findAll({ where: { url: { [Op.ne]: null } } });
+    for (const calendarImport of calendarImports) {
+        try {
+            await syncCalendarImport(calendarImport);
+        } catch (error) {
+            console.error(`Failed to sync calendar import ${calendarImport.id}:`, error.message);
+        }
+    }
+};
+
+// Runs syncAllCalendarImports every intervalMs, skipping a run while the previous one is still going
+const scheduleCalendarSync = (intervalMs) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await syncAllCalendarImports();
+        } catch (error) {
+            console.error('Failed to sync calendar imports:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    MAX_CALENDAR_SIZE,
+    toHttpUrl,
+    fetchCalendar,
+    importCalendar,
+    syncCalendarImport,
+    syncAllCalendarImports,
+    scheduleCalendarSync
+};
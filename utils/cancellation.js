@@ -0,0 +1,38 @@
+const { DAY } = require('./availability');
+
+// Refund tiers of the built-in policies: cancelling at least `daysBefore` days
+// before arrival refunds `refundPercent` of the reservation's total
+const POLICIES = {
+    flexible: [
+        { daysBefore: 1, refundPercent: 100 }
+    ],
+    moderate: [
+        { daysBefore: 5, refundPercent: 100 },
+        { daysBefore: 1, refundPercent: 50 }
+    ],
+    strict: [
+        { daysBefore: 14, refundPercent: 100 },
+        { daysBefore: 7, refundPercent: 50 }
+    ]
+};
+
+// Refund tiers that apply to bookings of the property
+const tiersFor = (property) => {
+    if (property.cancellationPolicy === 'custom') {
+        return property.cancellationTiers || [];
+    }
+    return POLICIES[property.cancellationPolicy] || POLICIES.flexible;
+};
+
+// Refund owed when cancelling at `cancelledAt` a stay starting at `arrivalTime`
+const calculateRefund = ({ tiers, total, arrivalTime, cancelledAt = new Date() }) => {
+    const daysBeforeArrival = Math.floor((new Date(arrivalTime) - new Date(cancelledAt)) / DAY);
+    const tier = [...tiers]
+        .sort((a, b) => b.daysBefore - a.daysBefore)
+        .find((t) => daysBeforeArrival >= t.daysBefore);
+    const refundPercent = tier ? tier.refundPercent : 0;
+    const refundAmount = Math.round((total || 0) * refundPercent) / 100;
+    return { daysBeforeArrival, refundPercent, refundAmount };
+};
+
+module.exports = { POLICIES, tiersFor, calculateRefund };
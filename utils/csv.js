@@ -0,0 +1,77 @@
+// Spreadsheets run cells starting with these as formulas. Text that already starts with
+// apostrophes before one of them is escaped too, so unescapeField gives it back unchanged.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+// Quotes a CSV field when it contains a separator, a quote or a line break. Text that a
+// spreadsheet would run as a formula, such as a property named "=HYPERLINK(...)", is prefixed
+// with an apostrophe so it shows as text; numbers are left as they are.
+const escapeField = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undoes the apostrophe escapeField puts before formula text, so exports can be imported again
+const unescapeField = (field) => (/^'+[=+\-@\t\r]/.test(field) ? field.slice(1) : field);
+
+// CSV document with a header line of the column names and one line per row
+const toCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
+
+// Objects keyed by the header line's column names, one per non-empty line. Follows
+// RFC 4180: quoted fields may contain separators, line breaks and doubled quotes.
+// Fields written by toCsv read back as they were.
+const parseCsv = (text) => {
+    const lines = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i += 1;
+            }
+            lines.push([...fields, field]);
+            fields = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV.');
+    }
+    lines.push([...fields, field]);
+
+    const rows = lines.filter((line) => line.some((value) => value.trim() !== ''));
+    if (rows.length === 0) {
+        return [];
+    }
+    const columns = rows[0].map((column) => column.trim());
+    return rows.slice(1).map((line) => Object.fromEntries(columns.map((column, index) => [column, unescapeField(line[index] ?? '')])));
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,26 @@
+const { getMailer } = require('../mailer');
+const { createActionToken } = require('./actionTokens');
+require('dotenv').config();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = async (user) => {
+    const token = await createActionToken(user, 'verify_email');
+    const link = `${APP_URL}/auth/verify-email?token=${encodeURIComponent(token)}`;
+    await getMailer().send({
+        to: user.email,
+        subject: 'Confirm your email address',
+        text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening this link within 24 hours:\n${link}\n`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await createActionToken(user, 'reset_password');
+    await getMailer().send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.firstName},\n\nUse this token within 30 minutes to choose a new password with POST /auth/reset-password:\n${token}\n\nIf you did not ask for a password reset, you can ignore this email.\n`
+    });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,35 @@
+const { sequelize, Property, Amenity, PropertyAmenity } = require('../sequelize');
+const { PROPERTY_TYPES } = require('./amenities');
+
+// Number of properties matching `where` per property type and per amenity, for search filters
+// such as "Pool (12)". Every type and catalog amenity is listed, with a count of 0 when nothing matches.
+const countFacets = async (where) => {
+    const typeRows = await Property.findAll({
+        where,
+        attributes: ['propertyType', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['propertyType'],
+        raw: true
+    });
+    const typeCounts = new Map(typeRows.map((row) => [row.propertyType, Number(row.count)]));
+
+    const matching = await Property.findAll({ where, attributes: ['id'], raw: true });
+    const amenityRows = matching.length === 0 ? [] : await PropertyAmenity.findAll({
+        where: { PropertyId: matching.map((row) => row.id) },
+        attributes: ['AmenityId', [sequelize.fn('COUNT', sequelize.col('PropertyId')), 'count']],
+        group: ['AmenityId'],
+        raw: true
+    });
+    const amenityCounts = new Map(amenityRows.map((row) => [row.AmenityId, Number(row.count)]));
+    const catalog = await Amenity.findAll({ order: [['name', 'asc']] });
+
+    return {
+        propertyTypes: PROPERTY_TYPES.map((type) => ({ value: type, count: typeCounts.get(type) || 0 })),
+        amenities: catalog.map((amenity) => ({
+            key: amenity.key,
+            name: amenity.name,
+            count: amenityCounts.get(amenity.id) || 0
+        }))
+    };
+};
+
+module.exports = { countFacets };
@@ -0,0 +1,52 @@
+const { sequelize, Op } = require('../sequelize');
+const { getGeocoder } = require('../geocoder');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in kilometres between a property and a point (haversine formula),
+// NULL for properties without coordinates
+const distanceFrom = (latitude, longitude) => {
+    const lat = sequelize.escape(Number(latitude));
+    const lng = sequelize.escape(Number(longitude));
+    return sequelize.literal(`(2 * ${EARTH_RADIUS_KM} * ASIN(SQRT(
+        POWER(SIN(RADIANS(latitude - ${lat}) / 2), 2) +
+        COS(RADIANS(${lat})) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - ${lng}) / 2), 2)
+    )))`);
+};
+
+const withinRadius = (latitude, longitude, radiusKm) => (
+    sequelize.where(distanceFrom(latitude, longitude), Op.lte, Number(radiusKm))
+);
+
+// Parses "west,south,east,north" in degrees, e.g. "2.25,48.81,2.42,48.90"
+const parseBoundingBox = (value) => {
+    const [west, south, east, north] = String(value).split(',').map(Number);
+    return { west, south, east, north };
+};
+
+// A box whose west edge is east of its east edge crosses the antimeridian
+const withinBoundingBox = ({ west, south, east, north }) => ({
+    latitude: { [Op.between]: [south, north] },
+    longitude: west <= east
+        ? { [Op.between]: [west, east] }
+        : { [Op.or]: [{ [Op.gte]: west }, { [Op.lte]: east }] }
+});
+
+// Coordinates for a property: the ones given, else the geocoder's answer for its address,
+// else none. Geocoding is best effort and never blocks saving the property.
+const locate = async ({ address, city, latitude, longitude }) => {
+    if (latitude !== undefined && latitude !== null && longitude !== undefined && longitude !== null) {
+        return { latitude, longitude };
+    }
+    try {
+        const found = await getGeocoder().geocode({ address, city });
+        if (found) {
+            return { latitude: found.latitude, longitude: found.longitude };
+        }
+    } catch (error) {
+        console.error('Failed to geocode property address:', error);
+    }
+    return { latitude: null, longitude: null };
+};
+
+module.exports = { EARTH_RADIUS_KM, distanceFrom, withinRadius, parseBoundingBox, withinBoundingBox, locate };
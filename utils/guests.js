@@ -0,0 +1,49 @@
+const isGiven = (source, field) => source[field] !== undefined && source[field] !== null && source[field] !== '';
+
+// Whether the source uses the single `guests` count of older clients, which counts as that many
+// adults. It cannot be combined with adults or children.
+const usesGuestsField = (source) => isGiven(source, 'guests') && !isGiven(source, 'adults') && !isGiven(source, 'children');
+
+// Guest counts of a booking. Adults and children count towards the property's
+// capacity; infants and pets are limited by its house rules instead.
+const partyFrom = (source, fallback = {}) => {
+    const count = (field, defaultValue) => {
+        if (isGiven(source, field)) {
+            return parseInt(source[field], 10);
+        }
+        return fallback[field] ?? defaultValue;
+    };
+    if (usesGuestsField(source)) {
+        return {
+            adults: parseInt(source.guests, 10),
+            children: 0,
+            infants: count('infants', 0),
+            pets: count('pets', 0)
+        };
+    }
+    return {
+        adults: count('adults', 1),
+        children: count('children', 0),
+        infants: count('infants', 0),
+        pets: count('pets', 0)
+    };
+};
+
+const guestCount = (party) => party.adults + party.children;
+
+// Reasons the party breaks the property's capacity or house rules, keyed by field
+const houseRuleViolations = (property, party) => {
+    const violations = {};
+    if (guestCount(party) > property.capacity) {
+        violations.adults = `The property accommodates at most ${property.capacity} guests (adults and children).`;
+    }
+    if (party.infants > 0 && property.maxInfants != null && party.infants > property.maxInfants) {
+        violations.infants = `The property allows at most ${property.maxInfants} infants.`;
+    }
+    if (party.pets > 0 && !property.petsAllowed) {
+        violations.pets = 'Pets are not allowed at this property.';
+    }
+    return violations;
+};
+
+module.exports = { partyFrom, guestCount, houseRuleViolations };
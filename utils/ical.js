@@ -0,0 +1,127 @@
+const PRODUCT_ID = '-//Vacation Booking API//Calendar//EN';
+
+// Dates are written in UTC: YYYYMMDD for whole days, YYYYMMDDTHHMMSSZ for instants
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (text) => text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Content lines longer than 75 characters continue on lines starting with a space (RFC 5545 3.1)
+const fold = (line) => {
+    const parts = [line.slice(0, 75)];
+    for (let index = 75; index < line.length; index += 74) {
+        parts.push(line.slice(index, index + 74));
+    }
+    return parts.join('\r\n ');
+};
+
+// iCalendar document of all-day events, each { uid, start, end, summary } with end the day
+// after the last night
+const buildCalendarFeed = ({ name, events, now = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    events.forEach((event) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatDateTime(now)}`,
+            `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+            `DTEND;VALUE=DATE:${formatDate(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            'TRANSP:OPAQUE',
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+// Splits "NAME;PARAM=VALUE:value" at the first colon outside a quoted parameter value;
+// parameters are not needed for the properties read here
+const parseLine = (line) => {
+    let quoted = false;
+    for (let index = 0; index < line.length; index += 1) {
+        if (line[index] === '"') {
+            quoted = !quoted;
+        } else if (line[index] === ':' && !quoted) {
+            const [name] = line.slice(0, index).split(';');
+            return { name: name.toUpperCase(), value: line.slice(index + 1) };
+        }
+    }
+    return null;
+};
+
+// Dates and date-times; times with a TZID or without a zone are read as UTC,
+// which is precise enough for night-by-night availability
+const parseDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+// Events of an iCalendar document as { uid, start, end, summary }. Cancelled events and
+// events without a valid start are skipped; an event without an end lasts one day.
+const parseCalendar = (text) => {
+    if (!/^BEGIN:VCALENDAR/im.test(text)) {
+        throw new Error('Not an iCalendar file.');
+    }
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    const events = [];
+    let current = null;
+    lines.forEach((raw) => {
+        const line = parseLine(raw);
+        if (!line) {
+            return;
+        }
+        if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+            current = {};
+        } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+            if (current && current.start && current.status !== 'CANCELLED') {
+                const end = current.end && current.end > current.start
+                    ? current.end
+                    : new Date(current.start.getTime() + 24 * 60 * 60 * 1000);
+                events.push({ uid: current.uid || null, start: current.start, end, summary: current.summary || null });
+            }
+            current = null;
+        } else if (current) {
+            switch (line.name) {
+                case 'UID':
+                    current.uid = line.value.trim();
+                    break;
+                case 'DTSTART':
+                    current.start = parseDate(line.value);
+                    break;
+                case 'DTEND':
+                    current.end = parseDate(line.value);
+                    break;
+                case 'SUMMARY':
+                    current.summary = unescapeText(line.value);
+                    break;
+                case 'STATUS':
+                    current.status = line.value.trim().toUpperCase();
+                    break;
+                default:
+                    break;
+            }
+        }
+    });
+    return events;
+};
+
+module.exports = { buildCalendarFeed, parseCalendar };
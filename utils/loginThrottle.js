@@ -0,0 +1,38 @@
+const { getStore } = require('./rateLimitStore');
+require('dotenv').config();
+
+const THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MS || String(60 * 60 * 1000), 10);
+const BASE_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS || String(60 * 1000), 10);
+const MAX_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_MAX_MS || String(60 * 60 * 1000), 10);
+
+const failureKey = (account) => `login-failures:${account}`;
+const lockKey = (account) => `login-lock:${account}`;
+
+// Accounts are keyed by lower-cased email, so casing does not reset the counter
+const normalize = (email) => String(email || '').trim().toLowerCase();
+
+// Milliseconds the account is still locked for, or 0
+const lockedFor = async (email) => {
+    const lock = await getStore().get(lockKey(normalize(email)));
+    return lock ? Math.max(0, lock.resetAt - Date.now()) : 0;
+};
+
+// Counts a failed login. From the THRESHOLD-th failure on, every failure locks the
+// account, each lock lasting twice as long as the previous one up to MAX_LOCK_MS.
+const recordFailure = async (email) => {
+    const account = normalize(email);
+    const failures = await getStore().increment(failureKey(account), FAILURE_WINDOW_MS);
+    if (failures.count >= THRESHOLD) {
+        const lockMs = Math.min(BASE_LOCK_MS * 2 ** (failures.count - THRESHOLD), MAX_LOCK_MS);
+        await getStore().increment(lockKey(account), lockMs);
+    }
+};
+
+const recordSuccess = async (email) => {
+    const account = normalize(email);
+    await getStore().reset(failureKey(account));
+    await getStore().reset(lockKey(account));
+};
+
+module.exports = { lockedFor, recordFailure, recordSuccess };
@@ -0,0 +1,40 @@
+const { sequelize, Conversation, Message, Op } = require('../sequelize');
+
+// Conversations the user takes part in, as the guest or as the host
+const involving = (userId) => ({ [Op.or]: [{ guestId: userId }, { hostId: userId }] });
+
+// Number of messages the other party sent in each conversation that the user has not read yet
+const unreadCounts = async (userId, conversationIds) => {
+    if (conversationIds.length === 0) {
+        return new Map();
+    }
+    const rows = await Message.findAll({
+        attributes: ['ConversationId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: {
+            ConversationId: conversationIds,
+            senderId: { [Op.ne]: userId },
+            readAt: null
+        },
+        group: ['ConversationId'],
+        raw: true
+    });
+    return new Map(rows.map((row) => [row.ConversationId, Number(row.count)]));
+};
+
+// Unread messages across all of the user's conversations
+const unreadTotal = (userId) => Message.count({
+    where: { senderId: { [Op.ne]: userId }, readAt: null },
+    include: [{ model: Conversation, where: involving(userId), attributes: [] }]
+});
+
+// Adds a message to the conversation and moves it to the top of both parties' lists
+const postMessage = (conversation, senderId, body, { transaction } = {}) => {
+    const run = async (t) => {
+        const message = await Message.create({ ConversationId: conversation.id, senderId, body }, { transaction: t });
+        await conversation.update({ lastMessageAt: message.createdAt }, { transaction: t });
+        return message;
+    };
+    return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+module.exports = { involving, unreadCounts, unreadTotal, postMessage };
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const SEEDS_DIR = path.join(__dirname, '..', 'seeds');
+const TABLE = 'SchemaMigrations';
+
+// Migrations and seeds are files named NNN-description.js, run in the order of their number
+const listFiles = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+    .filter((file) => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+const load = (dir, file) => {
+    const script = require(path.join(dir, file));
+    if (typeof script.up !== 'function') {
+        throw new Error(`${file} does not export an up function.`);
+    }
+    return script;
+};
+
+const context = (transaction) => ({ queryInterface: sequelize.getQueryInterface(), DataTypes, sequelize, transaction });
+
+// The names of the migrations already run, created on first use
+const ensureTable = () => sequelize.getQueryInterface().createTable(TABLE, {
+    name: { type: DataTypes.STRING, primaryKey: true, allowNull: false },
+    executedAt: { type: DataTypes.DATE, allowNull: false }
+});
+
+const executed = async () => {
+    await ensureTable();
+    const rows = await sequelize.getQueryInterface().select(null, TABLE, { order: [['name', 'asc']] });
+    return rows.map((row) => row.name);
+};
+
+const record = (name, transaction) => sequelize.getQueryInterface()
+    .bulkInsert(TABLE, [{ name, executedAt: new Date() }], { transaction });
+
+const forget = (name, transaction) => sequelize.getQueryInterface().bulkDelete(TABLE, { name }, { transaction });
+
+// Runs the migrations not run yet and returns their names. Each one runs in a transaction with its
+// record in SchemaMigrations. MySQL commits schema changes as they are made, so that cannot undo the
+// part of a migration that ran before it failed: the migrations only add what is missing instead, and
+// running a failed one again completes it.
+const migrate = async ({ log = () => {} } = {}) => {
+    const done = new Set(await executed());
+    const pending = listFiles(MIGRATIONS_DIR).filter((file) => !done.has(file));
+    for (const file of pending) {
+        log(`Migrating ${file}`);
+        await sequelize.transaction(async (transaction) => {
+            await load(MIGRATIONS_DIR, file).up(context(transaction));
+            await record(file, transaction);
+        });
+    }
+    return pending;
+};
+
+// Undoes the last `steps` migrations, or every migration with `all`, and returns their names
+const rollback = async ({ steps = 1, all = false, log = () => {} } = {}) => {
+    const done = await executed();
+    const undo = done.slice(all ? 0 : Math.max(done.length - steps, 0)).reverse();
+    for (const file of undo) {
+        const migration = load(MIGRATIONS_DIR, file);
+        if (typeof migration.down !== 'function') {
+            throw new Error(`${file} cannot be rolled back: it has no down function.`);
+        }
+        log(`Rolling back ${file}`);
+        await sequelize.transaction(async (transaction) => {
+            await migration.down(context(transaction));
+            await forget(file, transaction);
+        });
+    }
+    return undo;
+};
+
+const status = async () => {
+    const done = new Set(await executed());
+    return listFiles(MIGRATIONS_DIR).map((name) => ({ name, executed: done.has(name) }));
+};
+
+// Seeds are not recorded: each one checks for its own data so it can run more than once
+const seed = async ({ log = () => {} } = {}) => {
+    const files = listFiles(SEEDS_DIR);
+    for (const file of files) {
+        log(`Seeding ${file}`);
+        await load(SEEDS_DIR, file).up(context());
+    }
+    return files;
+};
+
+module.exports = { migrate, rollback, status, seed };
@@ -0,0 +1,118 @@
+const { Property, Reservation, Review, Op } = require('../sequelize');
+const { notify } = require('./notifications');
+
+const HOUR = 60 * 60 * 1000;
+
+// Guests are reminded of confirmed stays starting within this many hours
+const CHECK_IN_REMINDER_HOURS = 24;
+// Guests are asked to review completed stays that ended at most this many days ago
+const REVIEW_PROMPT_DAYS = 7;
+// Hosts are alerted about pending requests made at most this many hours ago
+const NEW_REQUEST_HOURS = 24;
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const checkInReminders = async (now) => {
+    const reservations = await Reservation.findAll({
+        where: {
+            status: 'confirmed',
+            arrivalTime: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + CHECK_IN_REMINDER_HOURS * HOUR) }
+        },
+        include: Property
+    });
+    let sent = 0;
+    for (const reservation of reservations) {
+        const notification = await notify(
+            reservation.UserId,
+            'reservation.check_in_reminder',
+            `Your stay at ${reservation.Property.name} starts on ${formatDay(reservation.arrivalTime)}.`,
+            { reservationId: reservation.id, propertyId: reservation.PropertyId, arrivalTime: reservation.arrivalTime },
+            { key: `reservation.check_in_reminder:${reservation.id}` }
+        );
+        sent += notification ? 1 : 0;
+    }
+    return sent;
+};
+
+const reviewPrompts = async (now) => {
+    const reservations = await Reservation.findAll({
+        where: {
+            status: 'completed',
+            departureTime: { [Op.lte]: now, [Op.gt]: new Date(now.getTime() - REVIEW_PROMPT_DAYS * 24 * HOUR) },
+            '$Review.id$': null
+        },
+        include: [Property, { model: Review, attributes: [], required: false }]
+    });
+    let sent = 0;
+    for (const reservation of reservations) {
+        const notification = await notify(
+            reservation.UserId,
+            'reservation.review_prompt',
+            `How was your stay at ${reservation.Property.name}? Leave a review for your host.`,
+            { reservationId: reservation.id, propertyId: reservation.PropertyId },
+            { key: `reservation.review_prompt:${reservation.id}` }
+        );
+        sent += notification ? 1 : 0;
+    }
+    return sent;
+};
+
+const newRequestAlerts = async (now) => {
+    const reservations = await Reservation.findAll({
+        where: {
+            status: 'pending',
+            createdAt: { [Op.lte]: now, [Op.gt]: new Date(now.getTime() - NEW_REQUEST_HOURS * HOUR) }
+        },
+        include: Property
+    });
+    let sent = 0;
+    for (const reservation of reservations) {
+        const notification = await notify(
+            reservation.Property.ownerId,
+            'reservation.new_request',
+            `New reservation request #${reservation.id} for ${reservation.Property.name} from ` +
+                `${formatDay(reservation.arrivalTime)} to ${formatDay(reservation.departureTime)}.`,
+            { reservationId: reservation.id, propertyId: reservation.PropertyId },
+            { key: `reservation.new_request:${reservation.id}` }
+        );
+        sent += notification ? 1 : 0;
+    }
+    return sent;
+};
+
+// Creates the reminders, review prompts and host alerts due at `now`. Each is only
+// created once, so runs can overlap in time or be repeated safely.
+const runNotificationScheduler = async (now = new Date()) => ({
+    checkInReminders: await checkInReminders(now),
+    reviewPrompts: await reviewPrompts(now),
+    newRequestAlerts: await newRequestAlerts(now)
+});
+
+// Runs runNotificationScheduler every intervalMs with the time given by `clock`,
+// skipping a run while the previous one is still going
+const scheduleNotifications = (intervalMs, { clock = () => new Date() } = {}) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await runNotificationScheduler(clock());
+        } catch (error) {
+            console.error('Failed to create scheduled notifications:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    CHECK_IN_REMINDER_HOURS,
+    REVIEW_PROMPT_DAYS,
+    NEW_REQUEST_HOURS,
+    runNotificationScheduler,
+    scheduleNotifications
+};
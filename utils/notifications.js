@@ -0,0 +1,68 @@
+const { User, Property, Notification } = require('../sequelize');
+
+// Types of in-app notifications. Users can turn each of them off in their preferences.
+const NOTIFICATION_TYPES = [
+    'reservation.new_request',
+    'reservation.status_changed',
+    'reservation.check_in_reminder',
+    'reservation.review_prompt',
+    'wishlist.price_drop',
+    'wishlist.dates_available'
+];
+
+// Every type is on unless the user turned it off
+const preferencesOf = (user) => {
+    const saved = user.notificationPreferences || {};
+    return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, saved[type] !== false]));
+};
+
+// Creates an in-app notification for the user, unless they turned its type off. A `key`
+// makes sure the same notification is only ever created once, e.g. one reminder per stay.
+// Resolves to the notification, or null when it was not created.
+const notify = async (userId, type, message, data = null, { key = null, transaction } = {}) => {
+    const user = await User.findByPk(userId, { attributes: ['id', 'notificationPreferences'], transaction });
+    if (!user || !preferencesOf(user)[type]) {
+        return null;
+    }
+    if (key && await Notification.count({ where: { key }, transaction }) > 0) {
+        return null;
+    }
+    try {
+        return await Notification.create({ UserId: userId, type, key, message, data }, { transaction });
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+const STATUS_MESSAGES = {
+    confirmed: 'was confirmed by the host',
+    declined: 'was declined by the host',
+    checked_in: 'is checked in',
+    completed: 'is completed',
+    cancelled: 'was cancelled'
+};
+
+// Tells the other party about a change the user made to the reservation's status:
+// the guest about anything the host, an admin or the platform did, the host when the guest cancels
+const notifyStatusChange = async (reservation, user) => {
+    try {
+        const property = reservation.Property || await Property.findByPk(reservation.PropertyId);
+        const recipientId = user.userId === reservation.UserId ? property.ownerId : reservation.UserId;
+        if (recipientId === user.userId) {
+            return;
+        }
+        await notify(
+            recipientId,
+            'reservation.status_changed',
+            `Reservation #${reservation.id} at ${property.name} ${STATUS_MESSAGES[reservation.status]}.`,
+            { reservationId: reservation.id, propertyId: property.id, status: reservation.status }
+        );
+    } catch (error) {
+        console.error('Failed to notify about a reservation status change:', error);
+    }
+};
+
+module.exports = { NOTIFICATION_TYPES, preferencesOf, notify, notifyStatusChange };
@@ -0,0 +1,14 @@
+// Loads a package of optionalDependencies, which installs without them (npm install --omit=optional)
+// leave out, failing with an explanation instead of MODULE_NOT_FOUND
+const requireOptional = (name, feature) => {
+    try {
+        return require(name);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(`'${name}'`)) {
+            throw new Error(`${feature} needs the ${name} package. Install it with: npm install ${name}`);
+        }
+        throw error;
+    }
+};
+
+module.exports = { requireOptional };
@@ -0,0 +1,115 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+
+// Addresses a URL given by a user must not reach: loopback, private networks, link-local
+// (including cloud metadata at 169.254.169.254), shared, reserved and multicast ranges. The IPv4
+// ranges also match IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family === 0 || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = (hostname, address) => new Error(`${hostname} resolves to the private address ${address}.`);
+
+// dns.lookup for outgoing requests that refuses host names resolving to a private address. It runs
+// when the connection is made, so a name cannot resolve to a public address for a check and to a
+// private one for the request.
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(privateAddressError(hostname, blocked.address));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const parsePublicUrl = (url) => {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Only http and https URLs can be requested.');
+    }
+    // Literal addresses are connected to without a lookup
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw privateAddressError(hostname, hostname);
+    }
+    return parsed;
+};
+
+// Rejects URLs whose host is or resolves to a private address, to refuse them when they are saved
+const checkPublicUrl = async (url) => {
+    const { hostname } = parsePublicUrl(url);
+    await new Promise((resolve, reject) => {
+        publicLookup(hostname, {}, (error) => (error ? reject(error) : resolve()));
+    });
+};
+
+const send = (url, { method, headers, body, signal }) => new Promise((resolve, reject) => {
+    const parsed = parsePublicUrl(url);
+    const client = parsed.protocol === 'https:' ? https : http;
+    const request = client.request(parsed, { method, headers, signal, lookup: publicLookup }, resolve);
+    request.on('error', reject);
+    request.end(body);
+});
+
+// Sends a request to a URL given by a user, only ever connecting to public addresses. Redirects of
+// GET requests are followed, up to MAX_REDIRECTS, with the same check; others are returned as they are.
+// Resolves with the response once its headers arrived; the caller reads or discards the body.
+const publicRequest = async (url, { method = 'GET', headers = {}, body, signal } = {}) => {
+    let current = url;
+    for (let redirects = 0; ; redirects += 1) {
+        const response = await send(current, { method, headers, body, signal });
+        const isRedirect = response.statusCode >= 300 && response.statusCode < 400 && response.headers.location;
+        if (!isRedirect || method !== 'GET') {
+            return response;
+        }
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+            throw new Error(`More than ${MAX_REDIRECTS} redirects.`);
+        }
+        current = new URL(response.headers.location, current).toString();
+    }
+};
+
+// Reads a response body as text, giving up as soon as it is larger than maxBytes
+const readBody = (response, maxBytes) => new Promise((resolve, reject) => {
+    const tooLarge = () => new Error(`Response is larger than ${maxBytes} bytes.`);
+    if (parseInt(response.headers['content-length'], 10) > maxBytes) {
+        response.destroy();
+        return reject(tooLarge());
+    }
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            response.destroy();
+            return reject(tooLarge());
+        }
+        chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+});
+
+module.exports = { isPrivateAddress, checkPublicUrl, publicRequest, readBody };
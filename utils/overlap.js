@@ -0,0 +1,10 @@
+const { Op } = require('../sequelize');
+
+// Where clause matching rows whose [start, end) period overlaps the half-open
+// interval [from, to). Defaults to the Reservation columns.
+const overlapping = (from, to, { start = 'arrivalTime', end = 'departureTime' } = {}) => ({
+    [start]: { [Op.lt]: to },
+    [end]: { [Op.gt]: from }
+});
+
+module.exports = { overlapping };
@@ -0,0 +1,223 @@
+const { sequelize, Payment, Reservation } = require('../sequelize');
+const { getPaymentProvider } = require('../payments');
+const { applyTransition, SYSTEM } = require('./reservationStatus');
+require('dotenv').config();
+
+const CURRENCY = (process.env.PAYMENT_CURRENCY || 'eur').toLowerCase();
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Payment of a newly booked reservation, created in the booking transaction before the provider is called
+const createPayment = (reservation, { transaction } = {}) => Payment.create({
+    ReservationId: reservation.id,
+    provider: getPaymentProvider().name,
+    amount: reservation.totalPrice,
+    currency: CURRENCY
+}, { transaction });
+
+// Asks the provider to hold the reservation's price. When the authorization fails the
+// reservation is cancelled so its dates are free again. The client secret, needed by
+// the guest's browser to finish a payment waiting for authentication, is never stored.
+const authorizePayment = async (payment, reservation, paymentMethod) => {
+    let result;
+    try {
+        result = await getPaymentProvider().authorize({
+            amount: payment.amount,
+            currency: payment.currency,
+            paymentMethod,
+            reservationId: reservation.id,
+            idempotencyKey: `payment-${payment.id}-authorize`
+        });
+    } catch (error) {
+        console.error('Failed to authorize payment:', error);
+        result = { id: null, status: 'failed', failureReason: 'The payment provider could not be reached.' };
+    }
+
+    await payment.update({
+        providerPaymentId: result.id,
+        status: result.status,
+        failureReason: result.failureReason || null
+    });
+    if (result.status === 'failed') {
+        await applyTransition(reservation, 'paymentFailed', SYSTEM, {
+            note: payment.failureReason,
+            changes: { cancelledAt: new Date() }
+        });
+    }
+    return { payment, clientSecret: result.clientSecret };
+};
+
+// Loads the reservation's payment locked until `transaction` ends, so the provider is never
+// asked to capture or refund the same payment twice at once
+const lockPayment = (reservation, transaction) => Payment.findOne({
+    where: { ReservationId: reservation.id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+});
+
+// Runs work in the caller's transaction, or in one of its own
+const inTransaction = (transaction, work) => (transaction ? work(transaction) : sequelize.transaction(work));
+
+// Captures and refunds run in the transaction that also changes the reservation, which is
+// rolled back when that change fails after the provider moved the money. Their idempotency
+// keys make the provider answer a repeated attempt with the result of the first one, so
+// trying again moves the money once.
+const refundKey = (payment) => `payment-${payment.id}-refund-${payment.refundedAmount}`;
+
+// Takes the held money before the host's confirmation goes through, within the caller's
+// transaction if given. Returns { status, error } when the reservation cannot be confirmed, or null.
+const capturePayment = (reservation, { transaction } = {}) => inTransaction(transaction, async (t) => {
+    const payment = await lockPayment(reservation, t);
+    // Reservations booked before payments were introduced have nothing to capture
+    if (!payment || payment.status === 'captured') {
+        return null;
+    }
+    if (payment.status !== 'authorized') {
+        return { status: 402, error: `The reservation cannot be confirmed while its payment is ${payment.status}.` };
+    }
+    try {
+        const { capturedAmount } = await getPaymentProvider().capture(payment.providerPaymentId, {
+            amount: roundMoney(Math.min(reservation.totalPrice, payment.amount)),
+            idempotencyKey: `payment-${payment.id}-capture`
+        });
+        await payment.update({ status: 'captured', capturedAmount, failureReason: null }, { transaction: t });
+        return null;
+    } catch (error) {
+        await payment.update({ failureReason: error.message }, { transaction: t });
+        return { status: 402, error: 'The payment could not be captured.' };
+    }
+});
+
+// Gives the guest's money back when the reservation ends early, within the caller's
+// transaction if given: a hold that was never captured is released in full, a captured payment
+// is refunded up to `amount`. Returns { status, error } when the refund failed, or null.
+const refundPayment = (reservation, amount, { transaction } = {}) => inTransaction(transaction, async (t) => {
+    const payment = await lockPayment(reservation, t);
+    if (!payment) {
+        return null;
+    }
+
+    if (['pending', 'authorized'].includes(payment.status)) {
+        try {
+            await getPaymentProvider().void(payment.providerPaymentId);
+        } catch (error) {
+            // Uncaptured holds expire at the provider anyway
+            console.error('Failed to void payment:', error);
+        }
+        await payment.update({ status: 'voided' }, { transaction: t });
+        return null;
+    }
+
+    const refund = roundMoney(Math.min(amount, payment.capturedAmount - payment.refundedAmount));
+    if (!['captured', 'partially_refunded'].includes(payment.status) || refund <= 0) {
+        return null;
+    }
+    try {
+        const { refundedAmount } = await getPaymentProvider().refund(payment.providerPaymentId, {
+            amount: refund,
+            idempotencyKey: refundKey(payment)
+        });
+        await payment.update({
+            refundedAmount,
+            status: refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded'
+        }, { transaction: t });
+        return null;
+    } catch (error) {
+        console.error('Failed to refund payment:', error);
+        return { status: 502, error: 'The refund could not be issued. Please try again.' };
+    }
+});
+
+// Keeps the payment in line with a changed reservation price, within the caller's
+// transaction: a lower price is refunded if it was already captured, a higher price
+// than was authorized cannot be charged. Returns { status, error } or null.
+const repricePayment = async (reservation, total, { transaction }) => {
+    const payment = await lockPayment(reservation, transaction);
+    if (!payment || ['failed', 'voided', 'refunded'].includes(payment.status)) {
+        return null;
+    }
+    if (total > payment.amount) {
+        return { status: 409, error: 'The new price is higher than the amount paid. Cancel this reservation and book again.' };
+    }
+
+    const refund = roundMoney(payment.capturedAmount - payment.refundedAmount - total);
+    if (!['captured', 'partially_refunded'].includes(payment.status) || refund <= 0) {
+        return null;
+    }
+    try {
+        const { refundedAmount } = await getPaymentProvider().refund(payment.providerPaymentId, {
+            amount: refund,
+            idempotencyKey: refundKey(payment)
+        });
+        await payment.update({ refundedAmount, status: 'partially_refunded' }, { transaction });
+        return null;
+    } catch (error) {
+        console.error('Failed to refund payment:', error);
+        return { status: 502, error: 'The price difference could not be refunded. Please try again.' };
+    }
+};
+
+// Applies a payment event reported by the provider's webhook. Events are matched to
+// the payment's current status, so repeated or out-of-order deliveries change nothing.
+const applyPaymentEvent = (event) => sequelize.transaction(async (transaction) => {
+    const found = await Payment.findOne({
+        where: { providerPaymentId: event.paymentId },
+        attributes: ['ReservationId'],
+        transaction
+    });
+    if (!found) {
+        return null;
+    }
+    // Locked in the order status transitions lock them, reservation first, so the two cannot deadlock
+    const reservation = await Reservation.findByPk(found.ReservationId, { transaction, lock: transaction.LOCK.UPDATE });
+    const payment = await lockPayment(reservation, transaction);
+    const holding = ['pending', 'authorized'].includes(payment.status);
+
+    switch (event.status) {
+        case 'authorized':
+            if (payment.status === 'pending') {
+                await payment.update({ status: 'authorized' }, { transaction });
+            }
+            break;
+        case 'captured':
+            if (holding) {
+                await payment.update({ status: 'captured', capturedAmount: event.capturedAmount || payment.amount }, { transaction });
+            }
+            break;
+        case 'refunded':
+            if (event.refundedAmount > payment.refundedAmount) {
+                await payment.update({
+                    refundedAmount: event.refundedAmount,
+                    status: event.refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded'
+                }, { transaction });
+            }
+            break;
+        case 'failed':
+        case 'voided':
+            // The money can no longer be taken, so a reservation still waiting for the host is released
+            if (holding) {
+                await payment.update({ status: event.status, failureReason: event.failureReason || null }, { transaction });
+                if (reservation.status === 'pending') {
+                    await applyTransition(reservation, 'paymentFailed', SYSTEM, {
+                        note: event.failureReason || `Payment ${event.status}`,
+                        changes: { cancelledAt: new Date() },
+                        transaction
+                    });
+                }
+            }
+            break;
+        default:
+            break;
+    }
+    return payment;
+});
+
+module.exports = {
+    CURRENCY,
+    createPayment,
+    authorizePayment,
+    capturePayment,
+    refundPayment,
+    repricePayment,
+    applyPaymentEvent
+};
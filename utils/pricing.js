@@ -0,0 +1,78 @@
+const { SeasonalRate, StayDiscount } = require('../sequelize');
+const { DAY, startOfDay, coversNight } = require('./availability');
+const { guestCount } = require('./guests');
+
+// Friday and Saturday nights are charged at the weekend rate
+const WEEKEND_NIGHTS = [5, 6];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Price of a single night: the most recently created seasonal rate covering the
+// night overrides the property's own nightly and weekend prices
+const nightlyRate = (property, seasonalRates, night) => {
+    const isWeekend = WEEKEND_NIGHTS.includes(new Date(night).getUTCDay());
+    const season = seasonalRates
+        .filter((rate) => coversNight(rate.startTime, rate.endTime, night))
+        .sort((a, b) => b.id - a.id)[0];
+
+    if (season) {
+        const price = isWeekend && season.weekendPrice != null ? season.weekendPrice : season.nightlyPrice;
+        return { price, source: season.name || 'seasonal', weekend: isWeekend };
+    }
+    const price = isWeekend && property.weekendPrice != null ? property.weekendPrice : property.price;
+    return { price, source: 'base', weekend: isWeekend };
+};
+
+// Itemized price of a stay from checkIn to checkOut for the given party
+const calculateQuote = ({ property, seasonalRates = [], discounts = [], checkIn, checkOut, party }) => {
+    const guests = guestCount(party);
+    const firstNight = startOfDay(checkIn).getTime();
+    const lastDay = Math.max(startOfDay(checkOut).getTime(), firstNight + DAY);
+
+    const nights = [];
+    for (let night = firstNight; night < lastDay; night += DAY) {
+        const rate = nightlyRate(property, seasonalRates, night);
+        nights.push({ date: new Date(night).toISOString().slice(0, 10), ...rate });
+    }
+    const accommodation = round(nights.reduce((sum, night) => sum + night.price, 0));
+
+    // The largest discount whose minimum length of stay is reached applies
+    const discount = discounts
+        .filter((d) => nights.length >= d.minNights)
+        .sort((a, b) => b.percent - a.percent)[0];
+    const discountAmount = discount ? round(accommodation * discount.percent / 100) : 0;
+
+    const includedGuests = property.includedGuests != null ? property.includedGuests : property.capacity;
+    const extraGuests = Math.max(0, guests - includedGuests);
+    const extraGuestAmount = round(extraGuests * (property.extraGuestFee || 0) * nights.length);
+
+    const cleaningFee = round(property.cleaningFee || 0);
+    const total = round(accommodation - discountAmount + cleaningFee + extraGuestAmount);
+
+    return {
+        ...party,
+        guests,
+        nights,
+        nightCount: nights.length,
+        accommodation,
+        discount: discount
+            ? { minNights: discount.minNights, percent: discount.percent, amount: discountAmount }
+            : null,
+        cleaningFee,
+        extraGuestFee: {
+            extraGuests,
+            perGuestPerNight: property.extraGuestFee || 0,
+            amount: extraGuestAmount
+        },
+        total
+    };
+};
+
+// Loads the property's seasonal rates and discounts and quotes the stay
+const quoteStay = async (property, checkIn, checkOut, party, { transaction } = {}) => {
+    const seasonalRates = await SeasonalRate.findAll({ where: { PropertyId: property.id }, transaction });
+    const discounts = await StayDiscount.findAll({ where: { PropertyId: property.id }, transaction });
+    return calculateQuote({ property, seasonalRates, discounts, checkIn, checkOut, party });
+};
+
+module.exports = { calculateQuote, quoteStay };
@@ -0,0 +1,83 @@
+// A rate limit store counts hits per key in fixed windows:
+//   increment(key, windowMs) -> { count, resetAt }  starts a window on the first hit
+//   get(key)                 -> { count, resetAt } or null when no window is open
+//   reset(key)               -> forgets the key
+// Every instance of the API must share one store for limits to hold across instances.
+
+// Keeps counters in this process. Suitable for a single instance.
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+    const windows = new Map();
+
+    const current = (key) => {
+        const entry = windows.get(key);
+        if (entry && entry.resetAt <= Date.now()) {
+            windows.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    // Drop expired windows now and then so the map does not grow forever
+    const timer = setInterval(() => {
+        for (const key of windows.keys()) {
+            current(key);
+        }
+    }, cleanupIntervalMs);
+    timer.unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+            entry.count += 1;
+            windows.set(key, entry);
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+        get: async (key) => {
+            const entry = current(key);
+            return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+        },
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+// Keeps counters in Redis so several instances share them. `client` is any Redis
+// client exposing incr, pexpire, pttl, get and del (e.g. ioredis).
+const createRedisStore = (client, { prefix = 'ratelimit:' } = {}) => ({
+    increment: async (key, windowMs) => {
+        const count = await client.incr(prefix + key);
+        if (count === 1) {
+            await client.pexpire(prefix + key, windowMs);
+        }
+        const ttl = await client.pttl(prefix + key);
+        return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    get: async (key) => {
+        const count = await client.get(prefix + key);
+        if (count === null) {
+            return null;
+        }
+        const ttl = await client.pttl(prefix + key);
+        return { count: parseInt(count, 10), resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    reset: async (key) => {
+        await client.del(prefix + key);
+    }
+});
+
+let store;
+
+const getStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+};
+
+// Replaces the shared store, e.g. with a Redis store for multi-instance deployments
+const setStore = (replacement) => {
+    store = replacement;
+};
+
+module.exports = { createMemoryStore, createRedisStore, getStore, setStore };
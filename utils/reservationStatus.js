@@ -0,0 +1,119 @@
+const {
+    sequelize, Reservation, Property, ReservationStatusChange, Transaction
+} = require('../sequelize');
+const { publishReservationEvent } = require('./webhooks');
+const { notifyStatusChange } = require('./notifications');
+
+// Reservations in these statuses no longer hold the property's dates
+const INACTIVE_STATUSES = ['declined', 'cancelled'];
+
+// Allowed transitions: which statuses an action starts from, where it leads and
+// which parties to the reservation may perform it
+const TRANSITIONS = {
+    confirm: { from: ['pending'], to: 'confirmed', by: ['host'] },
+    decline: { from: ['pending'], to: 'declined', by: ['host'] },
+    checkIn: { from: ['confirmed'], to: 'checked_in', by: ['host'] },
+    complete: { from: ['checked_in'], to: 'completed', by: ['host'] },
+    cancel: { from: ['pending', 'confirmed'], to: 'cancelled', by: ['guest', 'host'] },
+    forceCancel: { from: ['pending', 'confirmed', 'checked_in'], to: 'cancelled', by: ['admin'] },
+    paymentFailed: { from: ['pending'], to: 'cancelled', by: ['system'] }
+};
+
+// Actor of changes the platform makes on its own, e.g. when a payment fails
+const SYSTEM = { userId: null, role: 'system' };
+
+// Parties the user acts as on the reservation (its Property must be loaded)
+const partiesOf = (reservation, user) => {
+    const parties = [];
+    if (reservation.UserId === user.userId) {
+        parties.push('guest');
+    }
+    if (reservation.Property && reservation.Property.ownerId === user.userId) {
+        parties.push('host');
+    }
+    if (user.role === 'admin') {
+        parties.push('admin');
+    }
+    return parties;
+};
+
+// Returns { status, error } describing why the action is not allowed, or null
+const checkTransition = (reservation, action, user) => {
+    const transition = TRANSITIONS[action];
+    if (!partiesOf(reservation, user).some((party) => transition.by.includes(party))) {
+        return { status: 403, error: `Access denied. Only the ${transition.by.join(' or ')} can do this.` };
+    }
+    if (!transition.from.includes(reservation.status)) {
+        return { status: 409, error: `A ${reservation.status} reservation cannot be moved to ${transition.to}.` };
+    }
+    return null;
+};
+
+// Moves the reservation to the action's target status, together with any other
+// `changes` to its fields, and records the change. Subscribers and the other party
+// hear about it once the transaction is committed.
+const applyTransition = async (reservation, action, user, { note, changes = {}, transaction } = {}) => {
+    const run = async (t) => {
+        const fromStatus = reservation.status;
+        const toStatus = TRANSITIONS[action].to;
+        await reservation.update({ ...changes, status: toStatus }, { transaction: t });
+        await ReservationStatusChange.create({
+            ReservationId: reservation.id,
+            changedById: user.userId,
+            fromStatus,
+            toStatus,
+            note
+        }, { transaction: t });
+        t.afterCommit(() => publishReservationEvent(
+            toStatus === 'cancelled' ? 'reservation.cancelled' : 'reservation.updated',
+            reservation
+        ));
+        t.afterCommit(() => notifyStatusChange(reservation, user));
+        return reservation;
+    };
+    return transaction ? run(transaction) : sequelize.transaction(run);
+};
+
+// Performs the action on the reservation `id` with its row locked until the transaction ends,
+// so actions on the same reservation run one after the other and each is checked against the
+// status the previous one left. `prepare(reservation, transaction)` runs between the check and
+// the status change, e.g. to move the payment, and returns { status, error } to stop the action
+// or { changes } to the reservation's other fields. Resolves with { reservation } or { status, error }.
+const performTransition = (id, action, user, { note, prepare } = {}) => sequelize.transaction({
+    isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED
+}, async (transaction) => {
+    const locked = await Reservation.findByPk(id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    if (!locked) {
+        return { status: 404, error: 'Reservation not found.' };
+    }
+    const reservation = await Reservation.findByPk(id, { include: Property, transaction });
+    const denied = checkTransition(reservation, action, user);
+    if (denied) {
+        return denied;
+    }
+    const prepared = (prepare && await prepare(reservation, transaction)) || {};
+    if (prepared.error) {
+        return prepared;
+    }
+    await applyTransition(reservation, action, user, { note, changes: prepared.changes, transaction });
+    return { reservation };
+});
+
+// Records the initial status of a newly created reservation
+const recordCreation = (reservation, user, { transaction } = {}) => ReservationStatusChange.create({
+    ReservationId: reservation.id,
+    changedById: user.userId,
+    fromStatus: null,
+    toStatus: reservation.status
+}, { transaction });
+
+module.exports = {
+    INACTIVE_STATUSES,
+    TRANSITIONS,
+    SYSTEM,
+    partiesOf,
+    checkTransition,
+    applyTransition,
+    performTransition,
+    recordCreation
+};
@@ -0,0 +1,37 @@
+const { sequelize, Property, Review } = require('../sequelize');
+
+// Optional 1-5 ratings a guest can give next to the overall rating
+const CATEGORIES = ['cleanliness', 'accuracy', 'communication', 'location', 'checkIn', 'value'];
+
+// Average overall rating, review count and category averages of a property's reviews
+const summarize = async (propertyId, { transaction } = {}) => {
+    const [row] = await Review.findAll({
+        attributes: [
+            [sequelize.fn('COUNT', sequelize.col('id')), 'reviewCount'],
+            [sequelize.fn('AVG', sequelize.col('overall')), 'averageRating'],
+            ...CATEGORIES.map((category) => [sequelize.fn('AVG', sequelize.col(category)), category])
+        ],
+        where: { PropertyId: propertyId },
+        raw: true,
+        transaction
+    });
+
+    const average = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+    const categories = {};
+    CATEGORIES.forEach((category) => {
+        categories[category] = average(row[category]);
+    });
+    return {
+        reviewCount: parseInt(row.reviewCount, 10) || 0,
+        averageRating: average(row.averageRating),
+        categories
+    };
+};
+
+// Stores the property's rating aggregates on the property, where listings sort by them
+const refreshPropertyRating = async (propertyId, { transaction } = {}) => {
+    const { reviewCount, averageRating } = await summarize(propertyId, { transaction });
+    await Property.update({ reviewCount, averageRating }, { where: { id: propertyId }, transaction });
+};
+
+module.exports = { CATEGORIES, summarize, refreshPropertyRating };
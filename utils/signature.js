@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Webhook signatures, for payment provider events and outgoing webhooks alike, follow Stripe's
+// scheme: the header is "t=<unix time>,v1=<hex HMAC-SHA256 of '<t>.<raw body>'>", and
+// signatures older than the tolerance are rejected to stop replays
+const DEFAULT_TOLERANCE = 5 * 60;
+
+const computeSignature = (payload, secret, timestamp) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => (
+    `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`
+);
+
+// Throws when the header is missing, malformed, too old or does not match the payload
+const verifySignature = (payload, header, secret, { tolerance = DEFAULT_TOLERANCE } = {}) => {
+    if (!header) {
+        throw new Error('Missing webhook signature.');
+    }
+    const parts = Object.fromEntries(header.split(',').map((part) => part.split('=').map((value) => value.trim())));
+    const timestamp = parseInt(parts.t, 10);
+    if (!Number.isInteger(timestamp) || !parts.v1) {
+        throw new Error('Malformed webhook signature.');
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+        throw new Error('Webhook signature has expired.');
+    }
+    const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        throw new Error('Webhook signature does not match.');
+    }
+};
+
+module.exports = { signPayload, verifySignature };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { RefreshToken, Op } = require('../sequelize');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Only a hash of each refresh token is stored, so a database leak does not leak sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues an access token and a refresh token for the user. All refresh tokens of one
+// login share a family (the session id, `sid` in the access token); refreshing rotates
+// the token within its family.
+const issueTokens = async (user, { family = crypto.randomUUID(), transaction } = {}) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await RefreshToken.create({
+        UserId: user.id,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }, { transaction });
+
+    const token = jwt.sign(
+        { userId: user.id, role: user.role, sid: family },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    return { token, refreshToken };
+};
+
+const revokeFamily = (family, { transaction } = {}) => RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { family, revokedAt: null }, transaction }
+);
+
+const revokeAllForUser = (userId, { transaction } = {}) => RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { UserId: userId, revokedAt: null }, transaction }
+);
+
+// Whether the session an access token belongs to has been logged out or revoked
+const isSessionActive = async (family) => {
+    const active = await RefreshToken.count({
+        where: { family, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }
+    });
+    return active > 0;
+};
+
+module.exports = { hashToken, issueTokens, revokeFamily, revokeAllForUser, isSessionActive };
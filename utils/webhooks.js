@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { Property, User, WebhookSubscription, WebhookDelivery, Op } = require('../sequelize');
+const { signPayload } = require('./signature');
+const { publicRequest } = require('./outboundRequest');
+
+const WEBHOOK_EVENTS = ['reservation.created', 'reservation.updated', 'reservation.cancelled', 'property.updated'];
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT = 10 * 1000;
+const BATCH_SIZE = 50;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Wait before the next attempt after `attempts` failed ones: 30s, 1m, 2m, 4m... at most 6h
+const retryDelay = (attempts) => Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+// Sends a delivery once and records the outcome: succeeded on a 2xx answer, otherwise
+// retried later until MAX_ATTEMPTS attempts have failed
+const attemptDelivery = async (delivery, subscription) => {
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+    try {
+        // The address is checked again on every attempt: the host name may resolve elsewhere by now.
+        // Redirects are not followed.
+        const response = await publicRequest(subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'Webhook-Id': delivery.eventId,
+                'Webhook-Event': delivery.event,
+                'Webhook-Signature': signPayload(body, subscription.secret)
+            },
+            body,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+        });
+        response.resume();
+        responseStatus = response.statusCode;
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `Endpoint answered with status ${responseStatus}.`;
+        }
+    } catch (requestError) {
+        error = requestError.message;
+    }
+
+    const now = new Date();
+    let status = 'succeeded';
+    if (error) {
+        status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    }
+    await delivery.update({
+        status,
+        attempts,
+        lastAttemptAt: now,
+        nextAttemptAt: status === 'pending' ? new Date(now.getTime() + retryDelay(attempts)) : null,
+        responseStatus,
+        lastError: error
+    });
+};
+
+let processing = false;
+let requested = false;
+
+// Sends every delivery that is due to an active subscription. Calls made while a run is
+// going make it look for due deliveries once more instead of starting a second run.
+const processDueDeliveries = async () => {
+    if (processing) {
+        requested = true;
+        return;
+    }
+    processing = true;
+    try {
+        do {
+            requested = false;
+            const due = await WebhookDelivery.findAll({
+                where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+                include: [{ model: WebhookSubscription, where: { active: true }, attributes: [] }],
+                order: [['nextAttemptAt', 'asc']],
+                limit: BATCH_SIZE
+            });
+            // The default scope leaves the signing secrets out
+            const subscriptions = await WebhookSubscription.unscoped().findAll({
+                where: { id: [...new Set(due.map((delivery) => delivery.WebhookSubscriptionId))] }
+            });
+            const byId = new Map(subscriptions.map((subscription) => [subscription.id, subscription]));
+
+            for (const delivery of due) {
+                await attemptDelivery(delivery, byId.get(delivery.WebhookSubscriptionId));
+            }
+            if (due.length === BATCH_SIZE) {
+                requested = true;
+            }
+        } while (requested);
+    } catch (error) {
+        console.error('Failed to deliver webhooks:', error);
+    } finally {
+        processing = false;
+    }
+};
+
+// Queues an event for the active subscriptions to it of the user it concerns (the host
+// of the property) and of every admin, then starts delivering. Never throws, so
+// publishing cannot fail the request that caused the event.
+const publishEvent = async (event, data, { ownerId }) => {
+    try {
+        const subscriptions = await WebhookSubscription.findAll({
+            where: {
+                active: true,
+                [Op.or]: [{ UserId: ownerId }, { '$User.role$': 'admin' }]
+            },
+            include: [{ model: User, attributes: [] }]
+        });
+        const targets = subscriptions.filter((subscription) => subscription.events.includes(event));
+        if (targets.length === 0) {
+            return;
+        }
+
+        const eventId = crypto.randomUUID();
+        const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+        await WebhookDelivery.bulkCreate(targets.map((subscription) => ({
+            WebhookSubscriptionId: subscription.id,
+            eventId,
+            event,
+            payload,
+            nextAttemptAt: new Date()
+        })));
+        setImmediate(processDueDeliveries);
+    } catch (error) {
+        console.error(`Failed to publish ${event} webhook:`, error);
+    }
+};
+
+const publishReservationEvent = async (event, reservation) => {
+    try {
+        const property = reservation.Property || await Property.findByPk(reservation.PropertyId);
+        const data = reservation.get({ plain: true });
+        delete data.Property;
+        await publishEvent(event, { reservation: data }, { ownerId: property.ownerId });
+    } catch (error) {
+        console.error(`Failed to publish ${event} webhook:`, error);
+    }
+};
+
+const publishPropertyEvent = (event, property) => publishEvent(event, { property: property.get({ plain: true }) }, {
+    ownerId: property.ownerId
+});
+
+// Retries due deliveries every intervalMs
+const scheduleWebhookDelivery = (intervalMs) => {
+    const timer = setInterval(processDueDeliveries, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_ATTEMPTS,
+    generateSecret,
+    retryDelay,
+    processDueDeliveries,
+    publishEvent,
+    publishReservationEvent,
+    publishPropertyEvent,
+    scheduleWebhookDelivery
+};
@@ -0,0 +1,105 @@
+const { sequelize, Property, Wishlist, WishlistItem, Op } = require('../sequelize');
+const { findConflict } = require('./availability');
+const { notify } = require('./notifications');
+
+// Properties saved to wishlists are shown to guests with these attributes
+const SAVED_PROPERTY_ATTRIBUTES = ['id', 'name', 'city', 'price', 'propertyType', 'averageRating', 'reviewCount', 'listed'];
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Tells guests about saved properties that are now cheaper than when they saved them
+// or were last told. A property saved to several of a guest's wishlists is only reported once.
+const checkPriceDrops = async () => {
+    const items = await WishlistItem.findAll({
+        where: sequelize.where(sequelize.col('Property.price'), { [Op.lt]: sequelize.col('WishlistItem.savedPrice') }),
+        include: [
+            { model: Property, where: { listed: true } },
+            { model: Wishlist, attributes: ['id', 'UserId'] }
+        ]
+    });
+
+    const notified = new Set();
+    for (const item of items) {
+        const { Property: property, Wishlist: wishlist } = item;
+        const key = `${wishlist.UserId}:${property.id}`;
+        await sequelize.transaction(async (transaction) => {
+            if (!notified.has(key)) {
+                await notify(
+                    wishlist.UserId,
+                    'wishlist.price_drop',
+                    `${property.name} now costs ${property.price} per night instead of ${item.savedPrice}.`,
+                    { propertyId: property.id, wishlistId: wishlist.id, previousPrice: item.savedPrice, price: property.price },
+                    { transaction }
+                );
+                notified.add(key);
+            }
+            await item.update({ savedPrice: property.price }, { transaction });
+        });
+    }
+    return notified.size;
+};
+
+// Tells guests when the dates they wanted at a saved property, which were booked or
+// blocked, can be booked again
+const checkFreedDates = async () => {
+    const items = await WishlistItem.findAll({
+        where: { awaitingDates: true, checkIn: { [Op.gt]: new Date() } },
+        include: [
+            { model: Property, where: { listed: true } },
+            { model: Wishlist, attributes: ['id', 'UserId'] }
+        ]
+    });
+
+    let freed = 0;
+    for (const item of items) {
+        const { Property: property, Wishlist: wishlist } = item;
+        if (await findConflict(property.id, item.checkIn, item.checkOut)) {
+            continue;
+        }
+        await sequelize.transaction(async (transaction) => {
+            await notify(
+                wishlist.UserId,
+                'wishlist.dates_available',
+                `${property.name} is now available from ${formatDay(item.checkIn)} to ${formatDay(item.checkOut)}.`,
+                { propertyId: property.id, wishlistId: wishlist.id, checkIn: item.checkIn, checkOut: item.checkOut },
+                { transaction }
+            );
+            await item.update({ awaitingDates: false }, { transaction });
+        });
+        freed += 1;
+    }
+    return freed;
+};
+
+const checkWishlists = async () => ({
+    priceDrops: await checkPriceDrops(),
+    freedDates: await checkFreedDates()
+});
+
+// Runs checkWishlists every intervalMs, skipping a run while the previous one is still going
+const scheduleWishlistChecks = (intervalMs) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await checkWishlists();
+        } catch (error) {
+            console.error('Failed to check wishlists:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    SAVED_PROPERTY_ATTRIBUTES,
+    checkPriceDrops,
+    checkFreedDates,
+    checkWishlists,
+    scheduleWishlistChecks
+};